@@ -0,0 +1,178 @@
+// Historical backfill jobs, run separately from the live monitor loop
+import pLimit from 'p-limit';
+import { processBlockSafely } from './monitor.js';
+import {
+  createBackfillJob,
+  getBackfillJob,
+  updateBackfillJob,
+  listBackfillJobs,
+  markInterruptedBackfillJobs
+} from './database/database.js';
+import { logger } from './utils/logger.js';
+import {
+  BACKFILL_CONCURRENCY,
+  BACKFILL_NOTIFY,
+  MAX_BLOCKS_PER_BATCH,
+  INGESTION_MODE
+} from './config/config.js';
+import { withRetry, getPyusdLogTransactions } from './utils/utils.js';
+
+// Backfill jobs share one limiter so they never starve the live monitor's trace budget
+const limit = pLimit(BACKFILL_CONCURRENCY);
+
+// Jobs running in this process (jobId -> { cancelRequested })
+const activeJobs = new Map();
+
+function emitProgress(io, job) {
+  if (!io) return;
+  io.emit('backfill-progress', {
+    jobId: String(job._id),
+    status: job.status,
+    fromBlock: job.fromBlock,
+    toBlock: job.toBlock,
+    nextBlock: job.nextBlock,
+    processedBlocks: job.processedBlocks,
+    totalBlocks: job.toBlock - job.fromBlock + 1,
+    failedBlocks: job.failedBlocks
+  });
+}
+
+async function runBackfill(provider, io, job) {
+  const jobId = String(job._id);
+  const state = { cancelRequested: false };
+  activeJobs.set(jobId, state);
+
+  let current = job;
+  try {
+    current = await updateBackfillJob(jobId, {
+      status: 'running',
+      startedAt: job.startedAt || new Date(),
+      error: null
+    });
+    emitProgress(io, current);
+    logger.info('Backfill job started', { jobId, from: current.nextBlock, to: current.toBlock });
+
+    for (let start = current.nextBlock; start <= current.toBlock; start += MAX_BLOCKS_PER_BATCH) {
+      const end = Math.min(start + MAX_BLOCKS_PER_BATCH - 1, current.toBlock);
+
+      const logBlocks = INGESTION_MODE === 'logs'
+        ? await withRetry(() => getPyusdLogTransactions(provider, start, end))
+        : null;
+
+      let processedTransactions = 0;
+      const failedBlocks = [];
+
+      for (let blockNumber = start; blockNumber <= end; blockNumber++) {
+        if (state.cancelRequested) break;
+
+        const result = await processBlockSafely(provider, blockNumber, io, {
+          ...(logBlocks ? (logBlocks.get(blockNumber) || { transactions: [] }) : {}),
+          limiter: limit,
+          notify: BACKFILL_NOTIFY
+        });
+
+        if (result.success) {
+          processedTransactions += result.totalTxs;
+        } else {
+          failedBlocks.push(blockNumber);
+        }
+      }
+
+      if (state.cancelRequested) {
+        // Progress of a partially processed chunk is dropped; resuming re-runs it
+        current = await updateBackfillJob(jobId, { status: 'cancelled', finishedAt: new Date() });
+        emitProgress(io, current);
+        logger.info('Backfill job cancelled', { jobId, nextBlock: current.nextBlock });
+        return;
+      }
+
+      current = await updateBackfillJob(jobId, {
+        nextBlock: end + 1,
+        processedBlocks: current.processedBlocks + (end - start + 1),
+        processedTransactions: current.processedTransactions + processedTransactions,
+        failedBlocks: [...current.failedBlocks, ...failedBlocks]
+      });
+      emitProgress(io, current);
+    }
+
+    current = await updateBackfillJob(jobId, { status: 'completed', finishedAt: new Date() });
+    emitProgress(io, current);
+    logger.info('Backfill job completed', {
+      jobId,
+      processedBlocks: current.processedBlocks,
+      failedBlocks: current.failedBlocks.length
+    });
+  } catch (error) {
+    logger.error('Backfill job failed', { jobId, error: error.message });
+    current = await updateBackfillJob(jobId, {
+      status: 'failed',
+      error: error.message,
+      finishedAt: new Date()
+    }).catch(() => current);
+    emitProgress(io, current);
+  } finally {
+    activeJobs.delete(jobId);
+  }
+}
+
+// Create a job for a block range and start it in the background
+export async function startBackfill(provider, io, { fromBlock, toBlock }) {
+  const job = await createBackfillJob({ fromBlock, toBlock });
+  runBackfill(provider, io, job).catch(error => logger.error('Backfill job crashed', { jobId: String(job._id), error: error.message }));
+  return job;
+}
+
+// Continue a cancelled, failed or interrupted job from its cursor
+export async function resumeBackfill(provider, io, jobId) {
+  const job = await getBackfillJob(jobId);
+  if (!job) return null;
+
+  if (activeJobs.has(jobId) || !['cancelled', 'failed', 'interrupted'].includes(job.status)) {
+    throw new Error(`Backfill job is ${job.status} and cannot be resumed`);
+  }
+
+  runBackfill(provider, io, job).catch(error => logger.error('Backfill job crashed', { jobId, error: error.message }));
+  return job;
+}
+
+// Ask a running job to stop after its current block
+export async function cancelBackfill(jobId) {
+  const job = await getBackfillJob(jobId);
+  if (!job) return null;
+
+  const state = activeJobs.get(jobId);
+  if (!state) {
+    throw new Error(`Backfill job is ${job.status} and cannot be cancelled`);
+  }
+
+  state.cancelRequested = true;
+  return job;
+}
+
+export async function getBackfillStatus(jobId) {
+  const job = await getBackfillJob(jobId);
+  if (!job) return null;
+
+  const totalBlocks = job.toBlock - job.fromBlock + 1;
+  return {
+    ...job,
+    totalBlocks,
+    progress: totalBlocks > 0 ? job.processedBlocks / totalBlocks : 1
+  };
+}
+
+export async function listBackfills() {
+  return listBackfillJobs();
+}
+
+// Flag jobs that were running when the previous process stopped so they can be resumed
+export async function recoverBackfillJobs() {
+  try {
+    const interrupted = await markInterruptedBackfillJobs();
+    if (interrupted > 0) {
+      logger.warn('Backfill jobs interrupted by restart, resume them through the API', { count: interrupted });
+    }
+  } catch (error) {
+    logger.error('Failed to recover backfill jobs', { error: error.message });
+  }
+}
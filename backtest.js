@@ -0,0 +1,329 @@
+// Rule backtests: a new or retuned rule replayed over stored transactions and their cached traces
+import { evaluateRules, DEFAULT_RULES } from './engines/complianceEngine.js';
+import { validateRule, referencedFields, replaceConditionValues } from './engines/ruleEngine.js';
+import { getTransactionTrace } from './engines/traceAnalyzer.js';
+import { decodePyusdCall } from './engines/pyusdDecoder.js';
+import {
+  getComplianceRule,
+  createBacktestJob,
+  getBacktestJob,
+  updateBacktestJob,
+  listBacktestJobs,
+  markInterruptedBacktestJobs,
+  countTransactionsInRange,
+  getStoredTransactionCoverage,
+  getTransactionsInRange,
+  getAlertsByTxHashes
+} from './database/database.js';
+import { logger } from './utils/logger.js';
+import { PYUSD_ADDRESS, BACKTEST_MAX_TRANSACTIONS, BACKTEST_SAMPLE_SIZE, MAX_STORED_TRANSACTIONS } from './config/config.js';
+
+const BATCH_SIZE = 100;
+const RULE_FIELDS = ['ruleId', 'description', 'severity', 'weight', 'conditions', 'details'];
+
+// Jobs running in this process (jobId -> { cancelRequested })
+const activeJobs = new Map();
+
+function pickRuleFields(rule) {
+  return Object.fromEntries(RULE_FIELDS.filter(key => rule[key] !== undefined).map(key => [key, rule[key]]));
+}
+
+/**
+ * Builds the rule to backtest and the current definition it is compared against
+ * @param {Object} spec - { rule } with a full definition, or { ruleId } of an existing rule with
+ *   thresholds ({ field: value }, applied to every condition on that field) and/or replaced
+ *   severity, weight, conditions or details
+ * @returns {Promise<Object|null>} - { rule, baseRule, errors }, null when ruleId is unknown
+ */
+export async function prepareBacktestRule(spec = {}) {
+  const ruleId = spec.rule ? spec.rule.ruleId : spec.ruleId;
+  const stored = typeof ruleId === 'string'
+    ? await getComplianceRule(ruleId) || DEFAULT_RULES.find(rule => rule.ruleId === ruleId)
+    : null;
+  const baseRule = stored ? pickRuleFields(stored) : null;
+
+  if (spec.rule) {
+    const rule = pickRuleFields(spec.rule);
+    return { rule, baseRule, errors: validateRule(rule) };
+  }
+  if (!baseRule) return null;
+
+  const rule = { ...baseRule };
+  for (const key of ['severity', 'weight', 'conditions', 'details']) {
+    if (spec[key] !== undefined) rule[key] = spec[key];
+  }
+
+  const errors = [];
+  if (spec.thresholds !== undefined) {
+    if (!spec.thresholds || typeof spec.thresholds !== 'object' || Array.isArray(spec.thresholds)) {
+      errors.push('thresholds must be an object of field: value');
+    } else {
+      const fields = referencedFields(rule.conditions);
+      for (const field of Object.keys(spec.thresholds).filter(field => !fields.includes(field))) {
+        errors.push(`No condition of ${ruleId} reads ${field}`);
+      }
+      rule.conditions = replaceConditionValues(rule.conditions, spec.thresholds);
+    }
+  }
+
+  return { rule, baseRule, errors: [...errors, ...validateRule(rule)] };
+}
+
+// Transaction as processTransaction passed it to the rules. Stored transactions keep the
+// recipient in `to` for plain transfers; calls decoded as PYUSD methods always went to PYUSD.
+function replayedTransaction(stored) {
+  return {
+    hash: stored.txHash,
+    from: stored.from,
+    to: stored.method ? PYUSD_ADDRESS : stored.to,
+    input: stored.input,
+    value: stored.method === 'transfer' ? '0' : stored.value,
+    decoded: stored.method ? decodePyusdCall(stored.input) : null,
+    status: stored.status,
+    transfers: stored.transfers || [],
+    timestamp: new Date(stored.timestamp).getTime()
+  };
+}
+
+// Cached trace, or a fresh one when the job allows tracing
+async function loadTrace(txHash, fetchTraces, report) {
+  const cached = await getTransactionTrace(txHash, { cachedOnly: true });
+  if (cached) {
+    report.traces.cached++;
+    return cached;
+  }
+  if (!fetchTraces) return null;
+
+  const trace = await getTransactionTrace(txHash);
+  if (trace) report.traces.fetched++;
+  return trace;
+}
+
+/**
+ * How much of the requested range is still stored. Only the latest MAX_STORED_TRANSACTIONS
+ * transactions are kept, so once that many are stored, older parts of a range may be gone.
+ * @returns {Promise<Object>} - { storedTransactions, oldestStoredBlock, oldestStoredAt, complete }
+ */
+async function rangeCoverage(range, storedTransactions) {
+  const { oldest, count } = await getStoredTransactionCoverage();
+  const pruned = MAX_STORED_TRANSACTIONS > 0 && count >= MAX_STORED_TRANSACTIONS;
+  // Block numbers and times only grow, so a range starting at or after the oldest stored tx is all there
+  const startsAfterOldest = !!oldest && (
+    (range.fromBlock !== undefined && range.fromBlock >= oldest.blockNumber)
+    || (range.since !== undefined && new Date(range.since) >= new Date(oldest.timestamp))
+  );
+
+  return {
+    storedTransactions,
+    oldestStoredBlock: oldest?.blockNumber ?? null,
+    oldestStoredAt: oldest?.timestamp ?? null,
+    complete: !pruned || startsAfterOldest
+  };
+}
+
+function emptyReport(job) {
+  return {
+    ruleId: job.rule.ruleId,
+    scanned: 0,
+    evaluated: 0,
+    skipped: { noTrace: 0, errors: 0 },
+    traces: { cached: 0, fetched: 0 },
+    hits: 0,
+    hitRate: 0,
+    // Stored transactions in the range, and whether pruning may have removed part of it
+    coverage: null,
+    // Hits of the current definition, and the transactions only one of them matches
+    baseline: job.baseRule ? { hits: 0, gained: 0, lost: 0, lostSample: [] } : null,
+    // Alerts the current rules raised for the replayed transactions
+    alerts: { alertedTransactions: 0, hitsAlerted: 0, hitsNotAlerted: 0, alertsNamingRule: 0, alertsNamingRuleMissed: 0 },
+    matches: [],
+    truncated: false
+  };
+}
+
+function emitProgress(io, job) {
+  if (!io) return;
+  io.emit('backtest-progress', {
+    jobId: String(job._id),
+    status: job.status,
+    processedTransactions: job.processedTransactions,
+    totalTransactions: job.totalTransactions
+  });
+}
+
+async function runBacktest(io, job) {
+  const jobId = String(job._id);
+  const state = { cancelRequested: false };
+  activeJobs.set(jobId, state);
+
+  const range = { fromBlock: job.fromBlock, toBlock: job.toBlock, since: job.since, until: job.until };
+  const report = emptyReport(job);
+  // The current definition is evaluated next to the candidate under another id
+  const baselineId = `${job.rule.ruleId}@current`;
+  const rules = [job.rule, ...(job.baseRule ? [{ ...job.baseRule, ruleId: baselineId }] : [])];
+
+  let current = job;
+  try {
+    const available = await countTransactionsInRange(range);
+    report.truncated = available > BACKTEST_MAX_TRANSACTIONS;
+    report.coverage = await rangeCoverage(range, available);
+    if (!report.coverage.complete) {
+      logger.warn('Backtest range reaches back before the oldest stored transaction', {
+        jobId,
+        oldestStoredBlock: report.coverage.oldestStoredBlock,
+        maxStoredTransactions: MAX_STORED_TRANSACTIONS
+      });
+    }
+    current = await updateBacktestJob(jobId, {
+      status: 'running',
+      startedAt: new Date(),
+      totalTransactions: Math.min(available, BACKTEST_MAX_TRANSACTIONS)
+    });
+    emitProgress(io, current);
+    logger.info('Backtest started', { jobId, ruleId: job.rule.ruleId, transactions: current.totalTransactions });
+
+    let after = null;
+    while (!state.cancelRequested && report.scanned < current.totalTransactions) {
+      const batch = await getTransactionsInRange(range, after, Math.min(BATCH_SIZE, current.totalTransactions - report.scanned));
+      if (batch.length === 0) break;
+      after = batch.at(-1);
+
+      const alertsByTx = new Map();
+      for (const alert of await getAlertsByTxHashes(batch.map(tx => tx.txHash))) {
+        alertsByTx.set(alert.txHash, alert);
+      }
+
+      for (const stored of batch) {
+        if (state.cancelRequested) break;
+        report.scanned++;
+
+        const alert = alertsByTx.get(stored.txHash);
+        const alertRules = alert ? alert.rule.split(',').map(rule => rule.trim()) : [];
+        if (alert) report.alerts.alertedTransactions++;
+        if (alertRules.includes(job.rule.ruleId)) report.alerts.alertsNamingRule++;
+
+        const trace = await loadTrace(stored.txHash, job.fetchTraces, report);
+        if (!trace) {
+          report.skipped.noTrace++;
+          continue;
+        }
+
+        let flags;
+        try {
+          flags = await evaluateRules(rules, trace, replayedTransaction(stored));
+        } catch (error) {
+          report.skipped.errors++;
+          logger.warn('Backtest evaluation failed', { jobId, txHash: stored.txHash, error: error.message });
+          continue;
+        }
+        report.evaluated++;
+
+        const hit = flags.find(flag => flag.rule === job.rule.ruleId);
+        const baselineHit = flags.some(flag => flag.rule === baselineId);
+        if (report.baseline) {
+          if (baselineHit) report.baseline.hits++;
+          if (hit && !baselineHit) report.baseline.gained++;
+          if (!hit && baselineHit) {
+            report.baseline.lost++;
+            if (report.baseline.lostSample.length < BACKTEST_SAMPLE_SIZE) {
+              report.baseline.lostSample.push({ txHash: stored.txHash, blockNumber: stored.blockNumber });
+            }
+          }
+        }
+
+        if (!hit) {
+          if (alertRules.includes(job.rule.ruleId)) report.alerts.alertsNamingRuleMissed++;
+          continue;
+        }
+
+        report.hits++;
+        if (alert) report.alerts.hitsAlerted++;
+        else report.alerts.hitsNotAlerted++;
+
+        if (report.matches.length < BACKTEST_SAMPLE_SIZE) {
+          report.matches.push({
+            txHash: stored.txHash,
+            blockNumber: stored.blockNumber,
+            timestamp: stored.timestamp,
+            details: hit.details,
+            matchedCurrentRule: report.baseline ? baselineHit : undefined,
+            existingAlert: alert ? { rule: alert.rule, severity: alert.severity, status: alert.status } : null
+          });
+        }
+      }
+
+      current = await updateBacktestJob(jobId, { processedTransactions: report.scanned });
+      emitProgress(io, current);
+    }
+
+    report.hitRate = report.evaluated > 0 ? Number((report.hits / report.evaluated).toFixed(4)) : 0;
+    const status = state.cancelRequested ? 'cancelled' : 'completed';
+    current = await updateBacktestJob(jobId, { status, report, processedTransactions: report.scanned, finishedAt: new Date() });
+    emitProgress(io, current);
+    logger.info(`Backtest ${status}`, { jobId, scanned: report.scanned, evaluated: report.evaluated, hits: report.hits });
+  } catch (error) {
+    logger.error('Backtest failed', { jobId, error: error.message });
+    current = await updateBacktestJob(jobId, {
+      status: 'failed',
+      error: error.message,
+      report,
+      finishedAt: new Date()
+    }).catch(() => current);
+    emitProgress(io, current);
+  } finally {
+    activeJobs.delete(jobId);
+  }
+}
+
+/**
+ * Create a backtest job and run it in the background
+ * @param {Object} io
+ * @param {Object} options - { rule, baseRule } from prepareBacktestRule, and a block range
+ *   (fromBlock, toBlock) and/or date range (since, until); fetchTraces traces transactions
+ *   missing from the trace cache instead of skipping them
+ */
+export async function startBacktest(io, { rule, baseRule, fromBlock, toBlock, since, until, fetchTraces = false }) {
+  const job = await createBacktestJob({ rule, baseRule, fromBlock, toBlock, since, until, fetchTraces });
+  runBacktest(io, job).catch(error => logger.error('Backtest crashed', { jobId: String(job._id), error: error.message }));
+  return job;
+}
+
+// Ask a running job to stop; the report covers the transactions replayed so far
+export async function cancelBacktest(jobId) {
+  const job = await getBacktestJob(jobId);
+  if (!job) return null;
+
+  const state = activeJobs.get(jobId);
+  if (!state) {
+    throw new Error(`Backtest is ${job.status} and cannot be cancelled`);
+  }
+
+  state.cancelRequested = true;
+  return job;
+}
+
+export async function getBacktest(jobId) {
+  const job = await getBacktestJob(jobId);
+  if (!job) return null;
+
+  return {
+    ...job,
+    progress: job.totalTransactions > 0 ? job.processedTransactions / job.totalTransactions : (job.status === 'completed' ? 1 : 0)
+  };
+}
+
+export async function listBacktests() {
+  return listBacktestJobs();
+}
+
+// Backtests are not resumable; flag the ones a restart stopped so they can be started again
+export async function recoverBacktestJobs() {
+  try {
+    const interrupted = await markInterruptedBacktestJobs();
+    if (interrupted > 0) {
+      logger.warn('Backtests interrupted by restart, start them again through the API', { count: interrupted });
+    }
+  } catch (error) {
+    logger.error('Failed to recover backtest jobs', { error: error.message });
+  }
+}
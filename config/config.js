@@ -4,9 +4,19 @@ import { config } from 'dotenv';
 // Load environment variables
 config();
 
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
 // Constants
 export const PYUSD_ADDRESS = (process.env.PYUSD_ADDRESS || '0x6c3ea9036406852006290770b2e17e0e4f37f978').toLowerCase();
 export const RPC_URL = process.env.RPC_URL;
+// Comma-separated endpoint lists for the RPC pool; TRACE_RPC_URLS serve debug_*/trace_* calls
+export const RPC_URLS = splitList(process.env.RPC_URLS || process.env.RPC_URL);
+export const TRACE_RPC_URLS = splitList(process.env.TRACE_RPC_URLS);
+export const RPC_TIMEOUT_MS = parseInt(process.env.RPC_TIMEOUT_MS || '30000');
+export const RPC_MAX_CONSECUTIVE_FAILURES = parseInt(process.env.RPC_MAX_CONSECUTIVE_FAILURES || '3');
+export const RPC_COOLDOWN_MS = parseInt(process.env.RPC_COOLDOWN_MS || '30000');
 export const POLL_INTERVAL_MS = parseInt(process.env.POLL_INTERVAL_MS || '5000');
 export const MAX_BLOCKS_PER_BATCH = parseInt(process.env.MAX_BLOCKS_PER_BATCH || '10');
 export const MAX_CONCURRENT_TRACES = parseInt(process.env.MAX_CONCURRENT_TRACES || '5');
@@ -14,4 +24,98 @@ export const RETRY_DELAY_MS = parseInt(process.env.RETRY_DELAY_MS || '2000');
 export const MAX_RETRIES = parseInt(process.env.MAX_RETRIES || '3');
 export const PORT = process.env.PORT || 3000;
 export const FRONTEND_URL = process.env.FRONTEND_URL || '*';
-export const STARTING_BLOCK = parseInt(process.env.STARTING_BLOCK || '0');
\ No newline at end of file
+// Last block treated as processed when there is no checkpoint; unset starts at the chain head
+export const STARTING_BLOCK = process.env.STARTING_BLOCK ? parseInt(process.env.STARTING_BLOCK) : null;
+export const REORG_DEPTH = parseInt(process.env.REORG_DEPTH || '12');
+// 'blocks' scans every transaction in every block, 'logs' only fetches txs that emitted PYUSD events
+export const INGESTION_MODE = (process.env.INGESTION_MODE || 'blocks').toLowerCase();
+export const BACKFILL_CONCURRENCY = parseInt(process.env.BACKFILL_CONCURRENCY || '2');
+export const BACKFILL_NOTIFY = process.env.BACKFILL_NOTIFY === 'true';
+// 'poll' calls eth_blockNumber every POLL_INTERVAL_MS, 'subscribe' is driven by newHeads over WS_RPC_URL
+export const BLOCK_SOURCE = (process.env.BLOCK_SOURCE || 'poll').toLowerCase();
+export const WS_RPC_URL = process.env.WS_RPC_URL;
+export const WS_RECONNECT_DELAY_MS = parseInt(process.env.WS_RECONNECT_DELAY_MS || '10000');
+export const WS_STALE_TIMEOUT_MS = parseInt(process.env.WS_STALE_TIMEOUT_MS || '60000');
+// Pending-transaction monitoring: 'off', 'subscribe' (newPendingTransactions over WS_RPC_URL) or 'txpool' (polls txpool_content)
+export const MEMPOOL_MODE = (process.env.MEMPOOL_MODE || 'off').toLowerCase();
+export const MEMPOOL_POLL_INTERVAL_MS = parseInt(process.env.MEMPOOL_POLL_INTERVAL_MS || '5000');
+export const MEMPOOL_CONCURRENCY = parseInt(process.env.MEMPOOL_CONCURRENCY || '2');
+export const PENDING_ALERT_EXPIRY_MS = parseInt(process.env.PENDING_ALERT_EXPIRY_MS || '1800000');
+export const PENDING_ALERT_SWEEP_INTERVAL_MS = parseInt(process.env.PENDING_ALERT_SWEEP_INTERVAL_MS || '30000');
+// Alerts stay provisional until their block has this many confirmations (0 = final immediately)
+export const CONFIRMATION_DEPTH = parseInt(process.env.CONFIRMATION_DEPTH || '0');
+// Only send Discord/email notifications once an alert is final
+export const NOTIFY_FINAL_ONLY = process.env.NOTIFY_FINAL_ONLY === 'true';
+// Dead-letter retries: exponential backoff from DEAD_LETTER_BASE_DELAY_MS, capped at DEAD_LETTER_MAX_DELAY_MS
+export const DEAD_LETTER_RETRY_INTERVAL_MS = parseInt(process.env.DEAD_LETTER_RETRY_INTERVAL_MS || '30000');
+export const DEAD_LETTER_BASE_DELAY_MS = parseInt(process.env.DEAD_LETTER_BASE_DELAY_MS || '60000');
+export const DEAD_LETTER_MAX_DELAY_MS = parseInt(process.env.DEAD_LETTER_MAX_DELAY_MS || '3600000');
+export const DEAD_LETTER_MAX_ATTEMPTS = parseInt(process.env.DEAD_LETTER_MAX_ATTEMPTS || '10');
+// Tracer for debug_traceTransaction/debug_traceCall: 'structLogs' (opcode steps) or 'callTracer' (nested call frames)
+export const TRACE_TRACER = process.env.TRACE_TRACER || 'structLogs';
+// Also fetch a prestateTracer diff (balances, nonces and storage touched) and attach it to each trace
+export const TRACE_PRESTATE = process.env.TRACE_PRESTATE === 'true';
+// 'transaction' traces each PYUSD tx on its own, 'block' traces whole blocks with debug_traceBlockByNumber
+// (only with TRACE_TRACER=callTracer)
+export const TRACE_SCOPE = (process.env.TRACE_SCOPE || 'transaction').toLowerCase();
+// Block tracing is only used for blocks with at least this many PYUSD txs and at most BLOCK_TRACE_MAX_TXS txs in total
+export const BLOCK_TRACE_MIN_PYUSD_TXS = parseInt(process.env.BLOCK_TRACE_MIN_PYUSD_TXS || '2');
+export const BLOCK_TRACE_MAX_TXS = parseInt(process.env.BLOCK_TRACE_MAX_TXS || '300');
+// 'live' talks to the nodes, 'record' also appends all JSON-RPC traffic to RPC_FIXTURE_FILE, 'replay' serves it back with no network
+export const RPC_MODE = (process.env.RPC_MODE || 'live').toLowerCase();
+export const RPC_FIXTURE_FILE = process.env.RPC_FIXTURE_FILE || 'fixtures/rpc.jsonl';
+// Trace cache: in-memory LRU in front of compressed MongoDB storage (0 TTL = keep stored traces forever)
+export const TRACE_CACHE_MAX_ENTRIES = parseInt(process.env.TRACE_CACHE_MAX_ENTRIES || '500');
+// Budget for the in-memory LRU, measured as serialized JSON (structLogs traces can be tens of MB each)
+export const TRACE_CACHE_MAX_BYTES = parseInt(process.env.TRACE_CACHE_MAX_BYTES || String(256 * 1024 * 1024));
+export const TRACE_CACHE_TTL_MS = parseInt(process.env.TRACE_CACHE_TTL_MS || '3600000');
+export const TRACE_CACHE_STORAGE_TTL_SECONDS = parseInt(process.env.TRACE_CACHE_STORAGE_TTL_SECONDS || '2592000');
+// How often compliance rules are re-read from the database (edits through the API apply immediately)
+export const RULES_RELOAD_INTERVAL_MS = parseInt(process.env.RULES_RELOAD_INTERVAL_MS || '30000');
+// Default download location of the OFAC SDN list for watchlist imports (sdn.xml or sdn.csv)
+export const OFAC_SDN_URL = process.env.OFAC_SDN_URL || 'https://sanctionslistservice.ofac.treas.gov/api/PublicationPreview/exports/SDN.XML';
+// Transfers of more than this many PYUSD (6 decimals applied) trip the LARGE_TRANSFER rule
+export const LARGE_TRANSFER_THRESHOLD = parseFloat(process.env.LARGE_TRANSFER_THRESHOLD || '100000');
+// Structuring: at least STRUCTURING_MIN_TRANSFERS transfers within STRUCTURING_MARGIN (fraction) below
+// STRUCTURING_THRESHOLD PYUSD from one sender or to one recipient within STRUCTURING_WINDOW_HOURS
+export const STRUCTURING_THRESHOLD = parseFloat(process.env.STRUCTURING_THRESHOLD || '10000');
+export const STRUCTURING_MARGIN = parseFloat(process.env.STRUCTURING_MARGIN || '0.1');
+export const STRUCTURING_WINDOW_HOURS = parseFloat(process.env.STRUCTURING_WINDOW_HOURS || '24');
+export const STRUCTURING_MIN_TRANSFERS = parseInt(process.env.STRUCTURING_MIN_TRANSFERS || '3');
+// Stored transactions kept for history-based rules, oldest pruned first (0 = keep all); never prunes inside the
+// 24h / STRUCTURING_WINDOW_HOURS history window
+export const MAX_STORED_TRANSACTIONS = parseInt(process.env.MAX_STORED_TRANSACTIONS || '1000');
+// Per-address rolling counters: windows exposed to rules (m/h/d), the long window 24h flows are compared
+// against (outVolumeRatio24h...), and the bucket size counters are kept in
+export const VELOCITY_WINDOWS = process.env.VELOCITY_WINDOWS || '1h,24h,7d';
+export const VELOCITY_BASELINE_WINDOW = process.env.VELOCITY_BASELINE_WINDOW || '30d';
+export const VELOCITY_BUCKET_MINUTES = parseInt(process.env.VELOCITY_BUCKET_MINUTES || '5');
+// OUTFLOW_SPIKE only applies to senders with at least this many outgoing transfers and this much
+// PYUSD outflow over the baseline window, so one-off transfers of sparse addresses are not spikes
+export const OUTFLOW_SPIKE_MIN_TRANSFERS = parseInt(process.env.OUTFLOW_SPIKE_MIN_TRANSFERS || '10');
+export const OUTFLOW_SPIKE_MIN_VOLUME = parseFloat(process.env.OUTFLOW_SPIKE_MIN_VOLUME || '1000');
+// Address risk scores (0-100): alerts with a counterparty at or above RISK_SCORE_ELEVATED are raised
+// to at least medium severity, at or above RISK_SCORE_HIGH one level higher
+export const RISK_SCORE_ELEVATED = parseInt(process.env.RISK_SCORE_ELEVATED || '40');
+export const RISK_SCORE_HIGH = parseInt(process.env.RISK_SCORE_HIGH || '70');
+// Days of transactions the alert, exposure and anomaly counts behind a risk score cover
+export const RISK_WINDOW_DAYS = parseFloat(process.env.RISK_WINDOW_DAYS || '90');
+// Fund-flow tracing limits: hops, edges per graph, transfers followed per address (largest first),
+// default look-back when no start date is given, and block span per eth_getLogs request
+export const FLOW_MAX_HOPS = parseInt(process.env.FLOW_MAX_HOPS || '5');
+export const FLOW_MAX_EDGES = parseInt(process.env.FLOW_MAX_EDGES || '500');
+export const FLOW_MAX_FANOUT = parseInt(process.env.FLOW_MAX_FANOUT || '20');
+export const FLOW_LOOKBACK_BLOCKS = parseInt(process.env.FLOW_LOOKBACK_BLOCKS || '50000');
+export const FLOW_LOGS_CHUNK_BLOCKS = parseInt(process.env.FLOW_LOGS_CHUNK_BLOCKS || '10000');
+// Widest block range a fund-flow request may search
+export const FLOW_MAX_RANGE_BLOCKS = parseInt(process.env.FLOW_MAX_RANGE_BLOCKS || '100000');
+// Alert severity scoring: points added per flagged rule severity and trace signal, e.g.
+// 'high:60,reentrancySuspected:30' (defaults in engines/severityScore.js), and the scores
+// at which an alert becomes medium, high and critical
+export const SEVERITY_WEIGHTS = process.env.SEVERITY_WEIGHTS || '';
+export const SEVERITY_SCORE_MEDIUM = parseFloat(process.env.SEVERITY_SCORE_MEDIUM || '25');
+export const SEVERITY_SCORE_HIGH = parseFloat(process.env.SEVERITY_SCORE_HIGH || '50');
+export const SEVERITY_SCORE_CRITICAL = parseFloat(process.env.SEVERITY_SCORE_CRITICAL || '100');
+// Rule backtests: most stored transactions replayed per job, and matched transactions listed in a report
+export const BACKTEST_MAX_TRANSACTIONS = parseInt(process.env.BACKTEST_MAX_TRANSACTIONS || '10000');
+export const BACKTEST_SAMPLE_SIZE = parseInt(process.env.BACKTEST_SAMPLE_SIZE || '25');
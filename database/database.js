@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import { config } from 'dotenv';
+import { TRACE_CACHE_STORAGE_TTL_SECONDS, MAX_STORED_TRANSACTIONS, STRUCTURING_WINDOW_HOURS } from '../config/config.js';
 
 // Load environment variables
 config();
@@ -21,14 +22,27 @@ const AlertSchema = new mongoose.Schema({
   },
   blockNumber: {
     type: Number,
-    required: true,
-    index: true
+    index: true // Not set while the tx is still pending
   },
   timestamp: {
     type: Date,
     required: true,
     index: true
   },
+  // Lifecycle: 'pending' (mempool) -> 'provisional' (mined, fewer than CONFIRMATION_DEPTH
+  // confirmations) -> 'final'. 'withdrawn' when the tx vanished before finality,
+  // 'expired' when a pending tx was dropped from the mempool.
+  status: {
+    type: String,
+    enum: ['pending', 'provisional', 'final', 'withdrawn', 'expired'],
+    default: 'final',
+    index: true
+  },
+  // Whether the alert qualified for notification when it was raised
+  notified: {
+    type: Boolean,
+    default: false
+  },
   rule: {
     type: String,
     required: true
@@ -44,6 +58,33 @@ const AlertSchema = new mongoose.Schema({
   severity: {
     type: String,
     required: true
+  },
+  // Weighted score the severity was derived from, with the points of each rule and trace signal
+  severityScore: {
+    type: Number
+  },
+  severityBreakdown: [{
+    _id: false,
+    source: { type: String, enum: ['rule', 'signal'] },
+    name: String,
+    points: Number
+  }],
+  method: {
+    type: String
+  },
+  // Risk scores of the transaction's parties when the alert was raised (non-zero only)
+  counterpartyRisk: [{
+    _id: false,
+    address: String,
+    score: Number
+  }],
+  orphaned: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  orphanedAt: {
+    type: Date
   }
 });
 // Define Transaction Schema
@@ -80,16 +121,1229 @@ const TransactionSchema = new mongoose.Schema({
   value: {
     type: String
   },
+  // Decoded PYUSD call (method name, named arguments, token amount with 6 decimals applied)
+  method: {
+    type: String,
+    index: true
+  },
+  args: {
+    type: Object
+  },
+  amount: {
+    type: Number,
+    index: true
+  },
+  // Receipt data
+  blockHash: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['success', 'reverted']
+  },
+  gasUsed: {
+    type: String
+  },
+  effectiveGasPrice: {
+    type: String
+  },
+  // PYUSD Transfer events emitted by the tx, including from nested calls
+  transfers: [{
+    _id: false,
+    from: { type: String, index: true },
+    to: { type: String, index: true },
+    value: String,
+    amount: Number,
+    logIndex: Number
+  }],
+  // Net PYUSD change per address across all internal transfers, from the trace
+  tokenFlows: [{
+    _id: false,
+    address: { type: String, index: true },
+    sent: Number,
+    received: Number,
+    net: Number
+  }],
+  internalTransferCount: {
+    type: Number
+  },
   flagged: {
     type: Boolean,
     default: false // Flagged field to mark transactions as flagged
   },
-  // Add any other transaction fields you want to store
+  orphaned: {
+    type: Boolean,
+    default: false, // Set when the block holding this tx was dropped by a reorg
+    index: true
+  },
+  orphanedAt: {
+    type: Date
+  },
+  // Add any other transaction fields you want to store
+});
+
+// Define Scan Checkpoint Schema (last fully processed block per scanner)
+const ScanCheckpointSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  blockNumber: {
+    type: Number,
+    required: true
+  },
+  // Hashes of the most recently processed blocks, used for reorg detection
+  recentBlocks: [{
+    _id: false,
+    number: Number,
+    hash: String
+  }],
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Define Backfill Job Schema (historical scans run outside the live monitor loop)
+const BackfillJobSchema = new mongoose.Schema({
+  fromBlock: {
+    type: Number,
+    required: true
+  },
+  toBlock: {
+    type: Number,
+    required: true
+  },
+  nextBlock: {
+    type: Number,
+    required: true // Cursor used to resume the job
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'cancelled', 'failed', 'interrupted'],
+    default: 'queued',
+    index: true
+  },
+  processedBlocks: {
+    type: Number,
+    default: 0
+  },
+  processedTransactions: {
+    type: Number,
+    default: 0
+  },
+  failedBlocks: {
+    type: [Number],
+    default: []
+  },
+  error: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Define Backtest Job Schema (replay of a rule over stored transactions)
+const BacktestJobSchema = new mongoose.Schema({
+  // Rule definition being tested
+  rule: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Stored definition of the rule when an existing rule is retuned, compared against the candidate
+  baseRule: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  fromBlock: {
+    type: Number
+  },
+  toBlock: {
+    type: Number
+  },
+  since: {
+    type: Date
+  },
+  until: {
+    type: Date
+  },
+  // Trace transactions missing from the trace cache instead of skipping them
+  fetchTraces: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'cancelled', 'failed', 'interrupted'],
+    default: 'queued',
+    index: true
+  },
+  totalTransactions: {
+    type: Number,
+    default: 0
+  },
+  processedTransactions: {
+    type: Number,
+    default: 0
+  },
+  report: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Define Dead Letter Schema (transactions and blocks that failed processing)
+const DeadLetterSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['transaction', 'block'],
+    required: true
+  },
+  // Tx hash or block number, unique per kind
+  key: {
+    type: String,
+    required: true
+  },
+  txHash: {
+    type: String
+  },
+  blockNumber: {
+    type: Number
+  },
+  error: {
+    type: String
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // 'pending' entries are retried in the background until resolved or out of attempts
+  status: {
+    type: String,
+    enum: ['pending', 'resolved', 'exhausted', 'discarded'],
+    default: 'pending',
+    index: true
+  },
+  // Whether alerts raised on retry should be notified (off for silent backfills)
+  notify: {
+    type: Boolean,
+    default: true
+  },
+  nextAttemptAt: {
+    type: Date,
+    index: true
+  },
+  lastAttemptAt: {
+    type: Date
+  },
+  resolvedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+DeadLetterSchema.index({ kind: 1, key: 1 }, { unique: true });
+
+// Define Trace Cache Schema (gzip-compressed execution traces keyed by tx hash and tracer)
+const TraceCacheSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  txHash: {
+    type: String,
+    required: true,
+    index: true
+  },
+  tracer: {
+    type: String
+  },
+  data: {
+    type: Buffer,
+    required: true
+  },
+  size: {
+    type: Number // Compressed size in bytes
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    ...(TRACE_CACHE_STORAGE_TTL_SECONDS > 0 ? { expires: TRACE_CACHE_STORAGE_TTL_SECONDS } : {})
+  }
+});
+
+// Define Compliance Rule Schema (declarative rule definitions, see engines/ruleEngine.js)
+const ComplianceRuleSchema = new mongoose.Schema({
+  ruleId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  description: {
+    type: String
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  severity: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+    default: 'medium'
+  },
+  // Severity score points when flagged; unset uses the default for the severity
+  weight: {
+    type: Number,
+    min: 0
+  },
+  conditions: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  details: {
+    type: String
+  },
+  // Shipped with the engine; can be edited or disabled but not deleted
+  builtIn: {
+    type: Boolean,
+    default: false
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+// Define Address Activity Schema (per-address PYUSD transfer counters in fixed time buckets)
+const AddressActivitySchema = new mongoose.Schema({
+  address: {
+    type: String,
+    required: true
+  },
+  // Start of the bucket
+  bucket: {
+    type: Date,
+    required: true
+  },
+  outCount: {
+    type: Number,
+    default: 0
+  },
+  outVolume: {
+    type: Number,
+    default: 0
+  },
+  inCount: {
+    type: Number,
+    default: 0
+  },
+  inVolume: {
+    type: Number,
+    default: 0
+  },
+  counterparties: {
+    type: [String],
+    default: []
+  },
+  // Transfers already counted (txHash:logIndex:direction), so re-processing a tx is a no-op
+  events: {
+    type: [String],
+    default: []
+  },
+  // Dropped once no window reaches back to the bucket
+  expiresAt: {
+    type: Date,
+    expires: 0
+  }
+});
+
+AddressActivitySchema.index({ address: 1, bucket: 1 }, { unique: true });
+
+// Define Address Risk Profile Schema (history-based risk inputs and the resulting score per address)
+const AddressRiskProfileSchema = new mongoose.Schema({
+  address: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  firstSeenAt: {
+    type: Date
+  },
+  lastSeenAt: {
+    type: Date
+  },
+  // Counts over the last RISK_WINDOW_DAYS of observations, as of the last score update
+  txCount: {
+    type: Number,
+    default: 0
+  },
+  alertCount: {
+    type: Number,
+    default: 0
+  },
+  highSeverityAlertCount: {
+    type: Number,
+    default: 0
+  },
+  lastAlertAt: {
+    type: Date
+  },
+  // Transactions with a watchlisted counterparty
+  watchlistExposureCount: {
+    type: Number,
+    default: 0
+  },
+  // Whether the address itself was on an active watchlist when last seen
+  listed: {
+    type: Boolean,
+    default: false
+  },
+  // Transactions flagged by velocity or history rules
+  velocityAnomalyCount: {
+    type: Number,
+    default: 0
+  },
+  score: {
+    type: Number,
+    default: 0,
+    index: true
+  },
+  scoreBreakdown: {
+    type: Object
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Define Risk Observation Schema (what one transaction contributed to one address's risk profile).
+// Profile counts are computed over the observations of the last RISK_WINDOW_DAYS, so they decay;
+// observations of transactions orphaned by a reorg are deleted.
+const RiskObservationSchema = new mongoose.Schema({
+  address: {
+    type: String,
+    required: true
+  },
+  txHash: {
+    type: String,
+    required: true,
+    index: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  alerted: Boolean,
+  highSeverity: Boolean,
+  exposed: Boolean,
+  velocityAnomaly: Boolean,
+  // Observations leave the window, and MongoDB removes them afterwards
+  expiresAt: {
+    type: Date,
+    expires: 0
+  }
+});
+
+// Re-processing a transaction does not add a second observation
+RiskObservationSchema.index({ address: 1, txHash: 1 }, { unique: true });
+RiskObservationSchema.index({ address: 1, timestamp: 1 });
+
+// Define Watchlist Schema (named address lists: sanctions, internal blocklist, law-enforcement requests...)
+const WatchlistSchema = new mongoose.Schema({
+  listId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  category: {
+    type: String,
+    enum: ['sanctions', 'internal', 'law_enforcement', 'other'],
+    default: 'other'
+  },
+  description: {
+    type: String
+  },
+  // Inactive lists are kept but not matched against transactions
+  active: {
+    type: Boolean,
+    default: true
+  },
+  builtIn: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Define Watchlist Entry Schema (one address on one list)
+const WatchlistEntrySchema = new mongoose.Schema({
+  listId: {
+    type: String,
+    required: true
+  },
+  address: {
+    type: String,
+    required: true,
+    lowercase: true,
+    index: true
+  },
+  // Where the entry came from, e.g. 'OFAC SDN', 'manual', a case number
+  source: {
+    type: String,
+    default: 'manual'
+  },
+  reason: {
+    type: String
+  },
+  // Identifier in the source, e.g. the OFAC SDN entry uid
+  reference: {
+    type: String
+  },
+  // When the address was listed by the source
+  listedAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
 });
 
+WatchlistEntrySchema.index({ listId: 1, address: 1 }, { unique: true });
+
 // Create models
 const Alert = mongoose.model('Alert', AlertSchema);
 const Transaction = mongoose.model('Transaction', TransactionSchema);
+const ScanCheckpoint = mongoose.model('ScanCheckpoint', ScanCheckpointSchema);
+const BackfillJob = mongoose.model('BackfillJob', BackfillJobSchema);
+const BacktestJob = mongoose.model('BacktestJob', BacktestJobSchema);
+const DeadLetter = mongoose.model('DeadLetter', DeadLetterSchema);
+const TraceCache = mongoose.model('TraceCache', TraceCacheSchema);
+const ComplianceRule = mongoose.model('ComplianceRule', ComplianceRuleSchema);
+const AddressActivity = mongoose.model('AddressActivity', AddressActivitySchema);
+const AddressRiskProfile = mongoose.model('AddressRiskProfile', AddressRiskProfileSchema);
+const RiskObservation = mongoose.model('RiskObservation', RiskObservationSchema);
+const Watchlist = mongoose.model('Watchlist', WatchlistSchema);
+const WatchlistEntry = mongoose.model('WatchlistEntry', WatchlistEntrySchema);
+
+
+// Get the stored scan checkpoint, or null if the scanner never completed a batch
+export async function getScanCheckpoint(name = 'monitor') {
+  return ScanCheckpoint.findOne({ name }).lean();
+}
+
+// Persist the last fully processed block for a scanner
+export async function saveScanCheckpoint(blockNumber, recentBlocks = [], name = 'monitor') {
+  return ScanCheckpoint.findOneAndUpdate(
+    { name },
+    { blockNumber, recentBlocks, updatedAt: new Date() },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  ).lean();
+}
+
+// Remove the stored checkpoint so the scanner falls back to STARTING_BLOCK
+export async function deleteScanCheckpoint(name = 'monitor') {
+  const result = await ScanCheckpoint.deleteOne({ name });
+  return result.deletedCount > 0;
+}
+
+// Create a backfill job for a block range
+export async function createBackfillJob({ fromBlock, toBlock }) {
+  const job = new BackfillJob({ fromBlock, toBlock, nextBlock: fromBlock });
+  await job.save();
+  return job.toObject();
+}
+
+// Get a backfill job by id, or null if the id is unknown or malformed
+export async function getBackfillJob(jobId) {
+  if (!mongoose.isValidObjectId(jobId)) return null;
+  return BackfillJob.findById(jobId).lean();
+}
+
+// Update a backfill job's status or progress
+export async function updateBackfillJob(jobId, update) {
+  return BackfillJob.findByIdAndUpdate(
+    jobId,
+    { ...update, updatedAt: new Date() },
+    { new: true }
+  ).lean();
+}
+
+// List the most recent backfill jobs
+export async function listBackfillJobs(limit = 20) {
+  return BackfillJob.find()
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+}
+
+// Jobs left running by a previous process can no longer make progress
+export async function markInterruptedBackfillJobs() {
+  const result = await BackfillJob.updateMany(
+    { status: { $in: ['queued', 'running'] } },
+    { status: 'interrupted', updatedAt: new Date() }
+  );
+  return result.modifiedCount;
+}
+
+export async function createBacktestJob(job) {
+  const doc = new BacktestJob(job);
+  await doc.save();
+  return doc.toObject();
+}
+
+// Get a backtest job by id, or null if the id is unknown or malformed
+export async function getBacktestJob(jobId) {
+  if (!mongoose.isValidObjectId(jobId)) return null;
+  return BacktestJob.findById(jobId).lean();
+}
+
+// Update a backtest job's status, progress or report
+export async function updateBacktestJob(jobId, update) {
+  return BacktestJob.findByIdAndUpdate(
+    jobId,
+    { ...update, updatedAt: new Date() },
+    { new: true }
+  ).lean();
+}
+
+// List the most recent backtest jobs, without their reports
+export async function listBacktestJobs(limit = 20) {
+  return BacktestJob.find()
+    .select('-report')
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+}
+
+// Backtests left running by a previous process can no longer make progress
+export async function markInterruptedBacktestJobs() {
+  const result = await BacktestJob.updateMany(
+    { status: { $in: ['queued', 'running'] } },
+    { status: 'interrupted', updatedAt: new Date() }
+  );
+  return result.modifiedCount;
+}
+
+// Record a processing failure, reopening the entry if it was already known
+export async function recordDeadLetter({ kind, key, txHash, blockNumber, error, notify = true }) {
+  const now = new Date();
+  return DeadLetter.findOneAndUpdate(
+    { kind, key },
+    {
+      $set: { txHash, blockNumber, error, notify, status: 'pending', nextAttemptAt: now, lastAttemptAt: now, updatedAt: now },
+      $inc: { attempts: 1 },
+      $setOnInsert: { createdAt: now }
+    },
+    { new: true, upsert: true }
+  ).lean();
+}
+
+// Mark an entry resolved after the tx or block was processed successfully
+export async function resolveDeadLetter(kind, key) {
+  const now = new Date();
+  return DeadLetter.findOneAndUpdate(
+    { kind, key, status: { $ne: 'resolved' } },
+    { status: 'resolved', resolvedAt: now, updatedAt: now },
+    { new: true }
+  ).lean();
+}
+
+// Get a dead-letter entry by id, or null if the id is unknown or malformed
+export async function getDeadLetter(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return DeadLetter.findById(id).lean();
+}
+
+// Update a dead-letter entry's status or schedule
+export async function updateDeadLetter(id, update) {
+  return DeadLetter.findByIdAndUpdate(
+    id,
+    { ...update, updatedAt: new Date() },
+    { new: true }
+  ).lean();
+}
+
+// Pending entries whose backoff has elapsed, oldest first
+export async function getDueDeadLetters(limit = 20) {
+  return DeadLetter.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit)
+    .lean();
+}
+
+// List dead-letter entries with pagination, plus a count per status
+export async function listDeadLetters(page = 1, limit = 20, filter = {}) {
+  const query = {};
+  if (filter.status) query.status = filter.status;
+  if (filter.kind) query.kind = filter.kind;
+
+  const [entries, total, byStatus] = await Promise.all([
+    DeadLetter.find(query)
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    DeadLetter.countDocuments(query),
+    DeadLetter.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+  ]);
+
+  const counts = { pending: 0, resolved: 0, exhausted: 0, discarded: 0 };
+  for (const { _id, count } of byStatus) counts[_id] = count;
+
+  return {
+    entries,
+    counts,
+    pagination: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+// Get a stored (compressed) trace by cache key
+export async function getStoredTrace(key) {
+  return TraceCache.findOne({ key }).lean();
+}
+
+// Store a compressed trace, replacing any previous copy
+export async function saveStoredTrace({ key, txHash, tracer, data }) {
+  return TraceCache.findOneAndUpdate(
+    { key },
+    { txHash, tracer, data, size: data.length, createdAt: new Date() },
+    { upsert: true }
+  );
+}
+
+// Number of stored traces and their total compressed size
+export async function getStoredTraceStats() {
+  const [stats] = await TraceCache.aggregate([
+    { $group: { _id: null, count: { $sum: 1 }, bytes: { $sum: '$size' } } }
+  ]);
+  return { count: stats?.count || 0, bytes: stats?.bytes || 0 };
+}
+
+// List compliance rules, optionally only the enabled ones
+export async function listComplianceRules({ enabledOnly = false } = {}) {
+  return ComplianceRule.find(enabledOnly ? { enabled: true } : {})
+    .sort({ ruleId: 1 })
+    .lean();
+}
+
+export async function getComplianceRule(ruleId) {
+  return ComplianceRule.findOne({ ruleId }).lean();
+}
+
+export async function createComplianceRule(rule) {
+  const doc = new ComplianceRule({ ...rule, builtIn: false, version: 1 });
+  await doc.save();
+  return doc.toObject();
+}
+
+// Update a rule and bump its version
+export async function updateComplianceRule(ruleId, update) {
+  const { ruleId: _ignored, builtIn, version, createdAt, ...fields } = update;
+  return ComplianceRule.findOneAndUpdate(
+    { ruleId },
+    { $set: { ...fields, updatedAt: new Date() }, $inc: { version: 1 } },
+    { new: true, runValidators: true }
+  ).lean();
+}
+
+export async function deleteComplianceRule(ruleId) {
+  const result = await ComplianceRule.deleteOne({ ruleId });
+  return result.deletedCount > 0;
+}
+
+// Insert built-in rules that are not stored yet. Stored copies that were never
+// edited (version 1) follow the shipped definition; edited copies are left as is.
+export async function seedComplianceRules(rules) {
+  if (rules.length === 0) return 0;
+  const result = await ComplianceRule.bulkWrite(rules.flatMap(rule => [
+    {
+      updateOne: {
+        filter: { ruleId: rule.ruleId, builtIn: true, version: 1 },
+        update: { $set: { ...rule } }
+      }
+    },
+    {
+      updateOne: {
+        filter: { ruleId: rule.ruleId },
+        update: { $setOnInsert: { ...rule, builtIn: true, version: 1, createdAt: new Date(), updatedAt: new Date() } },
+        upsert: true
+      }
+    }
+  ]));
+  return result.upsertedCount;
+}
+
+// Count and PYUSD volume of an address's stored transactions since a date, as sender or recipient
+export async function getAddressActivity(address, since, { role = 'from', excludeTxHash, until } = {}) {
+  const match = {
+    [role]: address.toLowerCase(),
+    timestamp: until ? { $gte: since, $lte: until } : { $gte: since },
+    orphaned: { $ne: true }
+  };
+  if (excludeTxHash) {
+    match.txHash = { $ne: excludeTxHash };
+  }
+
+  const [stats] = await Transaction.aggregate([
+    { $match: match },
+    { $group: { _id: null, count: { $sum: 1 }, volume: { $sum: { $ifNull: ['$amount', 0] } } } }
+  ]);
+  return { count: stats?.count || 0, volume: stats?.volume || 0 };
+}
+
+/**
+ * Count and PYUSD volume of an address's Transfer events since a date, optionally
+ * limited to amounts in [minAmount, maxAmount)
+ * @param {string} address
+ * @param {Date} since
+ * @param {Object} options - { role: 'from' | 'to', minAmount, maxAmount, excludeTxHash, until }
+ */
+export async function getTransferActivity(address, since, { role = 'from', minAmount, maxAmount, excludeTxHash, until } = {}) {
+  const field = `transfers.${role}`;
+  const amount = {};
+  if (minAmount !== undefined) amount.$gte = minAmount;
+  if (maxAmount !== undefined) amount.$lt = maxAmount;
+
+  const timestamp = until ? { $gte: since, $lte: until } : { $gte: since };
+  const match = { [field]: address.toLowerCase(), timestamp, orphaned: { $ne: true } };
+  if (excludeTxHash) {
+    match.txHash = { $ne: excludeTxHash };
+  }
+
+  const [stats] = await Transaction.aggregate([
+    { $match: match },
+    { $unwind: '$transfers' },
+    { $match: { [field]: address.toLowerCase(), ...(Object.keys(amount).length ? { 'transfers.amount': amount } : {}) } },
+    { $group: { _id: null, count: { $sum: 1 }, volume: { $sum: '$transfers.amount' } } }
+  ]);
+  return { count: stats?.count || 0, volume: stats?.volume || 0 };
+}
+
+/**
+ * Add transfers to their addresses' activity buckets. Transfers already counted are skipped.
+ * @param {Array} updates - [{ address, bucket, expiresAt, event, direction: 'in' | 'out', amount, counterparty }]
+ * @returns {Promise<number>} - Number of transfers counted
+ */
+export async function recordAddressActivity(updates) {
+  if (updates.length === 0) return 0;
+  try {
+    const result = await AddressActivity.bulkWrite(updates.map(u => ({
+      updateOne: {
+        // A counted event fails the filter, and the upsert then hits the unique index
+        filter: { address: u.address, bucket: u.bucket, events: { $ne: u.event } },
+        update: {
+          $inc: { [`${u.direction}Count`]: 1, [`${u.direction}Volume`]: u.amount },
+          $addToSet: { events: u.event, ...(u.counterparty ? { counterparties: u.counterparty } : {}) },
+          $setOnInsert: { expiresAt: u.expiresAt }
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+    return result.modifiedCount + result.upsertedCount;
+  } catch (error) {
+    const writeErrors = [].concat(error.writeErrors || []);
+    if (writeErrors.length > 0 && writeErrors.every(e => e.code === 11000)) {
+      return updates.length - writeErrors.length;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Take transfers back out of the buckets that counted them, e.g. after a reorg dropped
+ * their tx. Unique counterparties are kept, as another transfer may share them.
+ * @param {Array} updates - [{ address, event, direction: 'in' | 'out', amount }]
+ * @returns {Promise<number>} - Number of transfers removed
+ */
+export async function removeAddressActivity(updates) {
+  if (updates.length === 0) return 0;
+  const result = await AddressActivity.bulkWrite(updates.map(u => ({
+    updateOne: {
+      filter: { address: u.address, events: u.event },
+      update: {
+        $inc: { [`${u.direction}Count`]: -1, [`${u.direction}Volume`]: -u.amount },
+        $pull: { events: u.event }
+      }
+    }
+  })), { ordered: false });
+  return result.modifiedCount;
+}
+
+// An address's activity buckets in [since, until)
+export async function getAddressActivityBuckets(address, since, until) {
+  return AddressActivity.find(
+    { address: address.toLowerCase(), bucket: { $gte: since, $lt: until } },
+    { events: 0 }
+  ).lean();
+}
+
+/**
+ * Record one transaction's observations for an address and update when it was seen
+ * @param {string} address
+ * @param {string} txHash
+ * @param {Object} observation - { timestamp, expiresAt, alerted, highSeverity, exposed, listed, velocityAnomaly }
+ * @returns {Promise<Object|null>} - The updated profile, or null if the tx was already applied
+ */
+export async function applyRiskObservation(address, txHash, { timestamp, expiresAt, alerted, highSeverity, exposed, listed, velocityAnomaly }) {
+  address = address.toLowerCase();
+  try {
+    await RiskObservation.create({
+      address,
+      txHash,
+      timestamp,
+      expiresAt,
+      alerted,
+      highSeverity: alerted && highSeverity,
+      exposed,
+      velocityAnomaly
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  return AddressRiskProfile.findOneAndUpdate(
+    { address },
+    {
+      $min: { firstSeenAt: timestamp },
+      $max: { lastSeenAt: timestamp, ...(alerted ? { lastAlertAt: timestamp } : {}) },
+      $set: { listed, updatedAt: new Date() }
+    },
+    { upsert: true, new: true }
+  ).lean();
+}
+
+/**
+ * Delete the observations of transactions dropped by a reorg
+ * @param {string[]} txHashes
+ * @returns {Promise<string[]>} - Addresses whose observations were deleted
+ */
+export async function removeRiskObservations(txHashes) {
+  if (txHashes.length === 0) return [];
+  const addresses = await RiskObservation.distinct('address', { txHash: { $in: txHashes } });
+  await RiskObservation.deleteMany({ txHash: { $in: txHashes } });
+  return addresses;
+}
+
+/**
+ * Observation counts of addresses in [since, until]
+ * @returns {Promise<Map>} - address -> { txCount, alertCount, highSeverityAlertCount, watchlistExposureCount, velocityAnomalyCount }
+ */
+export async function getRiskObservationCounts(addresses, since, until) {
+  if (addresses.length === 0) return new Map();
+  const count = field => ({ $sum: { $cond: [`$${field}`, 1, 0] } });
+  const rows = await RiskObservation.aggregate([
+    { $match: { address: { $in: addresses.map(address => address.toLowerCase()) }, timestamp: { $gte: since, $lte: until } } },
+    {
+      $group: {
+        _id: '$address',
+        txCount: { $sum: 1 },
+        alertCount: count('alerted'),
+        highSeverityAlertCount: count('highSeverity'),
+        watchlistExposureCount: count('exposed'),
+        velocityAnomalyCount: count('velocityAnomaly')
+      }
+    }
+  ]);
+  return new Map(rows.map(({ _id, ...counts }) => [_id, counts]));
+}
+
+// Store a profile's score with the windowed counts it was computed from
+export async function saveRiskScore(address, score, scoreBreakdown, counts = {}) {
+  return AddressRiskProfile.updateOne({ address: address.toLowerCase() }, { ...counts, score, scoreBreakdown });
+}
+
+export async function getRiskProfiles(addresses) {
+  if (addresses.length === 0) return [];
+  return AddressRiskProfile.find({ address: { $in: addresses.map(address => address.toLowerCase()) } }).lean();
+}
+
+// Highest-scoring addresses first
+export async function listRiskProfiles(page = 1, limit = 20, minScore = 0) {
+  const query = { score: { $gte: minScore } };
+  const [profiles, total] = await Promise.all([
+    AddressRiskProfile.find(query)
+      .sort({ score: -1, lastSeenAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    AddressRiskProfile.countDocuments(query)
+  ]);
+
+  return {
+    profiles,
+    pagination: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * Stored PYUSD transfers sent ('out') or received ('in') by an address within a block range
+ * @returns {Promise<Array>} - [{ from, to, value, amount, logIndex, txHash, blockNumber, timestamp }]
+ */
+export async function getAddressTransfers(address, direction, { fromBlock, toBlock, minAmount = 0, limit = 100 } = {}) {
+  const field = direction === 'out' ? 'transfers.from' : 'transfers.to';
+  return Transaction.aggregate([
+    {
+      $match: {
+        [field]: address.toLowerCase(),
+        blockNumber: { $gte: fromBlock, $lte: toBlock },
+        orphaned: { $ne: true }
+      }
+    },
+    { $unwind: '$transfers' },
+    { $match: { [field]: address.toLowerCase(), 'transfers.amount': { $gte: minAmount } } },
+    { $sort: { 'transfers.amount': -1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        from: '$transfers.from',
+        to: '$transfers.to',
+        value: '$transfers.value',
+        amount: '$transfers.amount',
+        logIndex: '$transfers.logIndex',
+        txHash: 1,
+        blockNumber: 1,
+        timestamp: 1
+      }
+    }
+  ]);
+}
+
+// List watchlists with their number of entries
+export async function listWatchlists() {
+  const [lists, counts] = await Promise.all([
+    Watchlist.find().sort({ listId: 1 }).lean(),
+    WatchlistEntry.aggregate([{ $group: { _id: '$listId', count: { $sum: 1 } } }])
+  ]);
+  const countByList = new Map(counts.map(c => [c._id, c.count]));
+  return lists.map(list => ({ ...list, entryCount: countByList.get(list.listId) || 0 }));
+}
+
+export async function getWatchlist(listId) {
+  return Watchlist.findOne({ listId }).lean();
+}
+
+export async function createWatchlist(list) {
+  const doc = new Watchlist({ ...list, builtIn: false });
+  await doc.save();
+  return doc.toObject();
+}
+
+export async function updateWatchlist(listId, update) {
+  const { listId: _ignored, builtIn, createdAt, ...fields } = update;
+  return Watchlist.findOneAndUpdate(
+    { listId },
+    { $set: { ...fields, updatedAt: new Date() } },
+    { new: true, runValidators: true }
+  ).lean();
+}
+
+// Delete a watchlist along with its entries
+export async function deleteWatchlist(listId) {
+  await WatchlistEntry.deleteMany({ listId });
+  const result = await Watchlist.deleteOne({ listId });
+  return result.deletedCount > 0;
+}
+
+// Insert built-in watchlists that are not stored yet
+export async function seedWatchlists(lists) {
+  if (lists.length === 0) return 0;
+  const result = await Watchlist.bulkWrite(lists.map(list => ({
+    updateOne: {
+      filter: { listId: list.listId },
+      update: { $setOnInsert: { ...list, builtIn: true, active: true, createdAt: new Date(), updatedAt: new Date() } },
+      upsert: true
+    }
+  })));
+  return result.upsertedCount;
+}
+
+// Get a page of a watchlist's entries, optionally filtered by address or source
+export async function listWatchlistEntries(listId, page = 1, limit = 50, filter = {}) {
+  const query = { listId };
+  if (filter.address) query.address = filter.address.toLowerCase();
+  if (filter.source) query.source = filter.source;
+
+  const skip = (page - 1) * limit;
+  const [entries, total] = await Promise.all([
+    WatchlistEntry.find(query).sort({ listedAt: -1 }).skip(skip).limit(limit).lean(),
+    WatchlistEntry.countDocuments(query)
+  ]);
+
+  return {
+    entries,
+    pagination: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * Add or update entries on a watchlist (one per address)
+ * @param {string} listId
+ * @param {Array} entries - [{ address, source, reason, reference, listedAt }]
+ * @returns {Promise<Object>} - { added, updated }
+ */
+export async function addWatchlistEntries(listId, entries) {
+  if (entries.length === 0) return { added: 0, updated: 0 };
+  const now = new Date();
+  const result = await WatchlistEntry.bulkWrite(entries.map(({ address, ...fields }) => ({
+    updateOne: {
+      filter: { listId, address: address.toLowerCase() },
+      update: {
+        $set: {
+          ...Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined)),
+          updatedAt: now
+        },
+        $setOnInsert: { createdAt: now }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+  return { added: result.upsertedCount, updated: result.modifiedCount };
+}
+
+export async function removeWatchlistEntry(listId, address) {
+  const result = await WatchlistEntry.deleteOne({ listId, address: address.toLowerCase() });
+  return result.deletedCount > 0;
+}
+
+// Remove a source's entries that are no longer in its latest import (e.g. delisted addresses)
+export async function removeStaleWatchlistEntries(listId, source, keepAddresses) {
+  const result = await WatchlistEntry.deleteMany({
+    listId,
+    source,
+    address: { $nin: keepAddresses.map(address => address.toLowerCase()) }
+  });
+  return result.deletedCount;
+}
+
+/**
+ * Find which of the given addresses are on an active watchlist
+ * @param {string[]} addresses
+ * @returns {Promise<Array>} - [{ address, listId, listName, category, source, reason, reference, listedAt }]
+ */
+export async function findWatchlistMatches(addresses) {
+  if (addresses.length === 0) return [];
+  const lists = await Watchlist.find({ active: true }).lean();
+  if (lists.length === 0) return [];
+
+  const byId = new Map(lists.map(list => [list.listId, list]));
+  const entries = await WatchlistEntry.find({
+    address: { $in: addresses.map(address => address.toLowerCase()) },
+    listId: { $in: [...byId.keys()] }
+  }).lean();
+
+  return entries.map(entry => ({
+    address: entry.address,
+    listId: entry.listId,
+    listName: byId.get(entry.listId).name,
+    category: byId.get(entry.listId).category,
+    source: entry.source,
+    reason: entry.reason,
+    reference: entry.reference,
+    listedAt: entry.listedAt
+  }));
+}
+
+// Mark transactions and alerts above a block as orphaned after a reorg.
+// Returns the alerts that were orphaned so they can be retracted.
+export async function orphanRecordsAfterBlock(blockNumber) {
+  const query = { blockNumber: { $gt: blockNumber }, orphaned: { $ne: true } };
+  const update = { orphaned: true, orphanedAt: new Date() };
+
+  const [alerts, orphanedTransactions] = await Promise.all([
+    Alert.find(query).lean(),
+    Transaction.find(query, { txHash: 1, from: 1, timestamp: 1, transfers: 1 }).lean()
+  ]);
+  const [txResult] = await Promise.all([
+    Transaction.updateMany(query, update),
+    Alert.updateMany(query, update)
+  ]);
+
+  return {
+    transactions: txResult.modifiedCount,
+    alerts,
+    // What derived state (activity counters, risk profiles) has to be undone for
+    orphanedTransactions
+  };
+}
 
 
 export async function getTransactionByHash(txHash) {
@@ -119,22 +1373,38 @@ export async function saveAlert(alertData) {
   } catch (error) {
     if (error.code === 11000) {
       // Handle duplicate key error (same transaction hash)
-      return Alert.findOneAndUpdate(
-        { txHash: alertData.txHash },
-        alertData,
-        { new: true }
-      );
+      const existing = await Alert.findOne({ txHash: alertData.txHash }).lean();
+      const update = { ...alertData, orphaned: false, orphanedAt: null };
+      // An alert that still stands keeps its lifecycle: a final alert is never taken back
+      // to provisional, and one that was notified stays notified so it is retracted on a reorg
+      if (existing && !existing.orphaned && !['withdrawn', 'expired'].includes(existing.status)) {
+        if (existing.status === 'final') update.status = 'final';
+        update.notified = !!existing.notified || !!alertData.notified;
+      }
+      return Alert.findOneAndUpdate({ txHash: alertData.txHash }, update, { new: true });
     }
     throw error;
   }
 }
 
-// Save transaction to database and maintain 1000 transaction limit
+// The compliance history.* fields look back 24h, structuring over STRUCTURING_WINDOW_HOURS
+const HISTORY_WINDOW_MS = Math.max(STRUCTURING_WINDOW_HOURS, 24) * 60 * 60 * 1000;
+
+// Save transaction to database and keep at most MAX_STORED_TRANSACTIONS (0 = no limit), except
+// transactions still inside the compliance history window of the one being saved
 export async function saveTransaction(txData) {
   try {
     // First check if this transaction already exists
     const existingTx = await Transaction.findOne({ txHash: txData.txHash });
     if (existingTx) {
+      if (existingTx.orphaned) {
+        // Re-included in the canonical chain after a reorg
+        return Transaction.findOneAndUpdate(
+          { txHash: txData.txHash },
+          { ...txData, orphaned: false, orphanedAt: null },
+          { new: true }
+        );
+      }
       return existingTx; // Skip if already exists
     }
 
@@ -142,11 +1412,12 @@ export async function saveTransaction(txData) {
     await transaction.save();
     
     // Check count and prune if needed
-    const count = await Transaction.countDocuments();
-    if (count > 1000) {
-      // Find and delete oldest transactions beyond the 1000 limit
-      const excessCount = count - 1000;
-      const oldestTransactions = await Transaction.find()
+    const count = MAX_STORED_TRANSACTIONS > 0 ? await Transaction.countDocuments() : 0;
+    if (MAX_STORED_TRANSACTIONS > 0 && count > MAX_STORED_TRANSACTIONS) {
+      // Find and delete oldest transactions beyond the limit, so the cap never cuts into the history window
+      const excessCount = count - MAX_STORED_TRANSACTIONS;
+      const keepSince = new Date(new Date(txData.timestamp || Date.now()).getTime() - HISTORY_WINDOW_MS);
+      const oldestTransactions = await Transaction.find({ timestamp: { $lt: keepSince } })
         .sort({ timestamp: 1 })
         .limit(excessCount);
       
@@ -166,19 +1437,96 @@ export async function saveTransaction(txData) {
   }
 }
 
+// Store the net-flow table extracted from a transaction's trace
+export async function saveTransactionFlows(txHash, { netFlows, transfers }) {
+  return Transaction.updateOne(
+    { txHash },
+    { $set: { tokenFlows: netFlows, internalTransferCount: transfers.length } }
+  );
+}
+
+// Stored transactions of a block range and/or block time range, excluding those dropped by a reorg
+function transactionRangeQuery({ fromBlock, toBlock, since, until }) {
+  const query = { orphaned: { $ne: true } };
+  if (fromBlock !== undefined || toBlock !== undefined) {
+    query.blockNumber = {};
+    if (fromBlock !== undefined) query.blockNumber.$gte = fromBlock;
+    if (toBlock !== undefined) query.blockNumber.$lte = toBlock;
+  }
+  if (since || until) {
+    query.timestamp = {};
+    if (since) query.timestamp.$gte = since;
+    if (until) query.timestamp.$lte = until;
+  }
+  return query;
+}
+
+// Oldest stored transaction and the number stored, to tell how far back pruning left history
+export async function getStoredTransactionCoverage() {
+  const [oldest, count] = await Promise.all([
+    Transaction.findOne({ orphaned: { $ne: true } }, { blockNumber: 1, timestamp: 1 }).sort({ timestamp: 1 }).lean(),
+    Transaction.estimatedDocumentCount()
+  ]);
+  return { oldest, count };
+}
+
+export async function countTransactionsInRange(range) {
+  return Transaction.countDocuments(transactionRangeQuery(range));
+}
+
+// A page of the transactions in a range, oldest block first, continuing after the
+// last transaction of the previous page (pruning may remove earlier ones meanwhile)
+export async function getTransactionsInRange(range, after = null, limit = 100) {
+  const query = transactionRangeQuery(range);
+  if (after) {
+    query.$and = [{ $or: [
+      { blockNumber: { $gt: after.blockNumber } },
+      { blockNumber: after.blockNumber, _id: { $gt: after._id } }
+    ] }];
+  }
+  return Transaction.find(query)
+    .sort({ blockNumber: 1, _id: 1 })
+    .limit(limit)
+    .lean();
+}
+
+// Build a transaction query from API filters (flagged, decoded method/args, addresses, amount range)
+function buildTransactionQuery(filter = {}) {
+  const query = { orphaned: { $ne: true } };
+
+  if (filter.flagged) query.flagged = true;
+  if (filter.method) query.method = filter.method;
+  if (filter.from) query.from = filter.from.toLowerCase();
+  if (filter.to) query.to = filter.to.toLowerCase();
+  if (filter.address) {
+    const address = filter.address.toLowerCase();
+    query.$or = [{ from: address }, { to: address }, { 'transfers.from': address }, { 'transfers.to': address }];
+  }
+  if (filter.minAmount !== undefined || filter.maxAmount !== undefined) {
+    query.amount = {};
+    if (filter.minAmount !== undefined) query.amount.$gte = filter.minAmount;
+    if (filter.maxAmount !== undefined) query.amount.$lte = filter.maxAmount;
+  }
+  for (const [name, value] of Object.entries(filter.args || {})) {
+    query[`args.${name}`] = typeof value === 'string' ? value.toLowerCase() : value;
+  }
 
+  return query;
+}
 
 // Get paginated transactions
-export async function getTransactions(page = 1, limit = 20) {
+export async function getTransactions(page = 1, limit = 20, filter = {}) {
   const skip = (page - 1) * limit;
   
+  const query = buildTransactionQuery(filter);
+
   const [transactions, total] = await Promise.all([
-    Transaction.find()
+    Transaction.find(query)
       .sort({ timestamp: -1 })
       .skip(skip)
       .limit(limit)
       .lean(),
-    Transaction.countDocuments()
+    Transaction.countDocuments(query)
   ]);
   
   return {
@@ -197,10 +1545,13 @@ export async function getTransactions(page = 1, limit = 20) {
 export async function getAlerts(page = 1, limit = 20, filter = {}) {
   const skip = (page - 1) * limit;
 
-  // Check if the severity filter is valid (low, medium, high), if not, return all alerts
-  let severity = {};
-  if (filter.severity && ['low', 'medium', 'high'].includes(filter.severity)) {
-    severity = { severity: filter.severity };  // Apply severity filter if it's valid
+  // Check if the severity filter is valid (low, medium, high, critical), if not, return all alerts
+  let severity = { orphaned: { $ne: true } };
+  if (filter.severity && ['low', 'medium', 'high', 'critical'].includes(filter.severity)) {
+    severity.severity = filter.severity;  // Apply severity filter if it's valid
+  }
+  if (filter.status && ['pending', 'provisional', 'final', 'withdrawn', 'expired'].includes(filter.status)) {
+    severity.status = filter.status;
   }
 
   try {
@@ -240,12 +1591,12 @@ export async function getMonitoringStartTime() {
 
 // Get total number of transactions
 export async function getTotalTransactionCount() {
-  return Transaction.countDocuments();
+  return Transaction.countDocuments({ orphaned: { $ne: true } });
 }
 
 // Get total number of flagged alerts
 export async function getTotalAlertCount() {
-  return Alert.countDocuments();
+  return Alert.countDocuments({ orphaned: { $ne: true } });
 }
 
 
@@ -254,6 +1605,49 @@ export async function getAlertByTxHash(txHash) {
   return Alert.findOne({ txHash }).lean();
 }
 
+// Alerts raised for any of the given transactions, excluding those dropped by a reorg
+export async function getAlertsByTxHashes(txHashes) {
+  return Alert.find({ txHash: { $in: txHashes }, orphaned: { $ne: true } }).lean();
+}
+
+// Get alerts raised for transactions that were still in the mempool
+export async function getPendingAlerts(limit = 100) {
+  return Alert.find({ status: 'pending' })
+    .sort({ timestamp: 1 })
+    .limit(limit)
+    .lean();
+}
+
+// Get provisional alerts whose block is at or below the given height
+export async function getProvisionalAlerts(maxBlockNumber, limit = 200) {
+  return Alert.find({
+    status: 'provisional',
+    orphaned: { $ne: true },
+    blockNumber: { $lte: maxBlockNumber }
+  })
+    .sort({ blockNumber: 1 })
+    .limit(limit)
+    .lean();
+}
+
+// Update an alert's lifecycle status (and block number once mined)
+export async function updateAlertStatus(txHash, status, extra = {}) {
+  return Alert.findOneAndUpdate(
+    { txHash },
+    { status, ...extra },
+    { new: true }
+  ).lean();
+}
+
+// Withdraw the mempool alert of a tx that no longer matches once mined; null when there is none
+export async function withdrawPendingAlert(txHash, extra = {}) {
+  return Alert.findOneAndUpdate(
+    { txHash, status: 'pending' },
+    { status: 'withdrawn', ...extra },
+    { new: true }
+  ).lean();
+}
+
 // Get alerts by rule
 export async function getAlertsByRule(rule, page = 1, limit = 20) {
   const skip = (page - 1) * limit;
@@ -300,7 +1694,7 @@ const NotificationPreferencesSchema = new mongoose.Schema({
   },
   severity: {
     type: String,
-    enum: ['low', 'medium', 'high','all'],
+    enum: ['low', 'medium', 'high', 'critical', 'all'],
     default: 'medium'
   },
   frequency: {
@@ -389,27 +1783,8 @@ export async function getNotificationPreferences({ email, discord, telegram }) {
 
 
 // Get paginated flagged transactions
-export async function getFlaggedTransactions(page = 1, limit = 20) {
-  const skip = (page - 1) * limit;
-
-  const [transactions, total] = await Promise.all([
-    Transaction.find({ flagged: true }) // Only fetch flagged transactions
-      .sort({ timestamp: -1 })
-      .skip(skip)
-      .limit(limit)
-      .lean(),
-    Transaction.countDocuments({ flagged: true }) // Count only flagged transactions
-  ]);
-
-  return {
-    transactions,
-    pagination: {
-      total,
-      page,
-      limit,
-      pages: Math.ceil(total / limit)
-    }
-  };
+export async function getFlaggedTransactions(page = 1, limit = 20, filter = {}) {
+  return getTransactions(page, limit, { ...filter, flagged: true });
 }
 
 
@@ -457,4 +1832,4 @@ export async function getUsersForNotification(severity) {
 }
 
 // Export the models for direct use if needed
-export { Alert, Transaction, NotificationPreference };
\ No newline at end of file
+export { Alert, Transaction, NotificationPreference, ScanCheckpoint, BackfillJob, BacktestJob, DeadLetter, TraceCache, ComplianceRule, AddressActivity, AddressRiskProfile, RiskObservation, Watchlist, WatchlistEntry };
\ No newline at end of file
@@ -0,0 +1,172 @@
+// Dead-letter queue for transactions and blocks that failed processing
+import { processTransaction, processBlockSafely, getMonitoringStatus } from './monitor.js';
+import {
+  recordDeadLetter,
+  resolveDeadLetter,
+  getDeadLetter,
+  updateDeadLetter,
+  getDueDeadLetters,
+  listDeadLetters
+} from './database/database.js';
+import { logger } from './utils/logger.js';
+import {
+  PYUSD_ADDRESS,
+  DEAD_LETTER_RETRY_INTERVAL_MS,
+  DEAD_LETTER_BASE_DELAY_MS,
+  DEAD_LETTER_MAX_DELAY_MS,
+  DEAD_LETTER_MAX_ATTEMPTS
+} from './config/config.js';
+import { withRetry } from './utils/utils.js';
+
+function backoffDelay(attempts) {
+  return Math.min(DEAD_LETTER_BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), DEAD_LETTER_MAX_DELAY_MS);
+}
+
+/**
+ * Persists a failed transaction or block with its error and schedules the next
+ * retry. Never throws, so callers can use it from their own error handlers.
+ * @param {'transaction'|'block'} kind
+ * @param {Object} details - { txHash, blockNumber, notify }
+ * @param {Error|string} error
+ * @returns {Promise<boolean>} - Whether the entry was recorded
+ */
+export async function recordProcessingFailure(kind, { txHash, blockNumber, notify = true }, error) {
+  const key = kind === 'transaction' ? txHash : String(blockNumber);
+  try {
+    const entry = await recordDeadLetter({
+      kind,
+      key,
+      txHash,
+      blockNumber,
+      notify,
+      error: error?.message || String(error)
+    });
+
+    const exhausted = entry.attempts >= DEAD_LETTER_MAX_ATTEMPTS;
+    await updateDeadLetter(entry._id, {
+      status: exhausted ? 'exhausted' : 'pending',
+      nextAttemptAt: exhausted ? null : new Date(Date.now() + backoffDelay(entry.attempts))
+    });
+
+    if (exhausted) {
+      logger.error('Dead-letter entry out of retry attempts', { kind, key, attempts: entry.attempts });
+    }
+    return true;
+  } catch (err) {
+    logger.error('Failed to record dead-letter entry', { kind, key, error: err.message });
+    return false;
+  }
+}
+
+// Close the entry for a transaction or block once it has been processed
+export async function clearProcessingFailure(kind, key) {
+  try {
+    const entry = await resolveDeadLetter(kind, String(key));
+    if (entry) {
+      logger.info('Dead-letter entry resolved', { kind, key, attempts: entry.attempts });
+    }
+  } catch (err) {
+    logger.error('Failed to resolve dead-letter entry', { kind, key, error: err.message });
+  }
+}
+
+// Re-run a transaction with the context the block loop would have given it
+async function retryTransaction(provider, io, entry) {
+  const tx = await withRetry(() => provider.getTransaction(entry.txHash));
+  if (!tx) {
+    throw new Error('Transaction not found');
+  }
+
+  const blockNumber = tx.blockNumber ?? entry.blockNumber;
+  const [header, receipt] = await Promise.all([
+    withRetry(() => provider.getBlock(blockNumber)),
+    withRetry(() => provider.getTransactionReceipt(entry.txHash))
+  ]);
+  const pyusdLogs = (receipt?.logs || []).filter(log => log.address?.toLowerCase() === PYUSD_ADDRESS);
+
+  return processTransaction(tx, blockNumber, io, {
+    provider,
+    blockTimestamp: header?.timestamp,
+    pyusdLogs,
+    notify: entry.notify
+  });
+}
+
+/**
+ * Retries one entry now. processTransaction and processBlockSafely record and
+ * resolve entries themselves; failures before they run are recorded here.
+ * @returns {Promise<Object>} - The entry after the attempt
+ */
+async function retryEntry(provider, io, entry) {
+  logger.info('Retrying dead-letter entry', { kind: entry.kind, key: entry.key, attempts: entry.attempts });
+
+  try {
+    if (entry.kind === 'transaction') {
+      // Also covers txs that turn out to need no processing (e.g. no longer PYUSD-related)
+      if (await retryTransaction(provider, io, entry) !== false) {
+        await clearProcessingFailure(entry.kind, entry.key);
+      }
+    } else {
+      await processBlockSafely(provider, entry.blockNumber, io, { notify: entry.notify });
+    }
+  } catch (error) {
+    await recordProcessingFailure(entry.kind, entry, error);
+  }
+
+  return getDeadLetter(entry._id);
+}
+
+async function retryDueEntries(provider, io) {
+  try {
+    const { currentBlock } = getMonitoringStatus();
+    const entries = await getDueDeadLetters();
+
+    for (const entry of entries) {
+      // Blocks ahead of the live cursor are re-processed by the monitor loop itself; it moves past a
+      // failed block once it is recorded here, so they come due once the cursor catches up
+      if (entry.kind === 'block' && entry.blockNumber > currentBlock) {
+        await updateDeadLetter(entry._id, { nextAttemptAt: new Date(Date.now() + backoffDelay(entry.attempts)) });
+        continue;
+      }
+      await retryEntry(provider, io, entry);
+    }
+  } catch (error) {
+    logger.error('Failed to retry dead-letter entries', { error: error.message });
+  } finally {
+    setTimeout(() => retryDueEntries(provider, io), DEAD_LETTER_RETRY_INTERVAL_MS);
+  }
+}
+
+export function startDeadLetterRetrier(provider, io) {
+  logger.info('Dead-letter retrier started', { intervalMs: DEAD_LETTER_RETRY_INTERVAL_MS });
+  retryDueEntries(provider, io);
+}
+
+// Retry an entry immediately, whatever its backoff or attempt count
+export async function retryDeadLetter(provider, io, id) {
+  const entry = await getDeadLetter(id);
+  if (!entry) return null;
+
+  if (entry.status === 'resolved') {
+    throw new Error('Dead-letter entry is already resolved');
+  }
+
+  return retryEntry(provider, io, entry);
+}
+
+// Stop retrying an entry; it stays listed as discarded
+export async function discardDeadLetter(id) {
+  const entry = await getDeadLetter(id);
+  if (!entry) return null;
+
+  if (entry.status === 'resolved') {
+    throw new Error('Dead-letter entry is already resolved');
+  }
+
+  logger.info('Dead-letter entry discarded', { kind: entry.kind, key: entry.key });
+  return updateDeadLetter(id, { status: 'discarded', nextAttemptAt: null });
+}
+
+export async function listDeadLetterEntries(page, limit, filter) {
+  return listDeadLetters(page, limit, filter);
+}
@@ -0,0 +1,64 @@
+// Helpers for traces produced by geth's callTracer (nested call frames)
+
+/**
+ * Whether a trace is a callTracer frame rather than struct logger output
+ * @param {object} trace
+ */
+export function isCallTree(trace) {
+  return !!trace && !Array.isArray(trace.structLogs) && typeof trace.type === 'string';
+}
+
+/**
+ * Parses a hex quantity from a call frame (gas, gasUsed, value) into a number
+ * @param {string} hex
+ */
+export function hexToNumber(hex) {
+  if (typeof hex !== 'string' || !hex.startsWith('0x')) return 0;
+  return Number(BigInt(hex));
+}
+
+// DELEGATECALL and CALLCODE run the callee's code in the caller's storage context
+const CONTEXT_PRESERVING = new Set(['DELEGATECALL', 'CALLCODE']);
+
+/**
+ * Walks the call tree depth-first. Each entry carries the depth of the frame
+ * that issued the call (the top-level call is depth 0, calls it makes are at
+ * depth 1), matching struct logger depths for CALL-family opcodes, and the
+ * execution contexts (contract addresses) on the call stack above the frame.
+ * @param {object} root - callTracer result
+ * @returns {Array} - [{ frame, depth, callers, context }]
+ */
+export function flattenCallTree(root) {
+  const frames = [];
+
+  const visit = (frame, depth, callers, parentContext) => {
+    const context = CONTEXT_PRESERVING.has(frame.type) && parentContext
+      ? parentContext
+      : frame.to?.toLowerCase();
+    frames.push({ frame, depth, callers, context });
+
+    for (const child of frame.calls || []) {
+      visit(child, depth + 1, [...callers, context], context);
+    }
+  };
+
+  visit(root, 0, [], null);
+  return frames;
+}
+
+/**
+ * Whether a frame calls back into a contract that is still executing higher up
+ * the stack. Context-preserving calls are skipped since they do not switch contract.
+ * @param {object} entry - Item from flattenCallTree
+ */
+export function isReentrantCall({ frame, callers, context }) {
+  return !CONTEXT_PRESERVING.has(frame.type) && callers.includes(context);
+}
+
+/**
+ * Internal calls only (everything below the top-level call)
+ * @param {object} root - callTracer result
+ */
+export function internalCalls(root) {
+  return flattenCallTree(root).slice(1);
+}
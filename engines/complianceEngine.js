@@ -1,143 +1,555 @@
 // complianceEngine.js
+import { isCallTree, flattenCallTree, internalCalls, hexToNumber, isReentrantCall } from './callTree.js';
+import { evaluateRule, referencedFields } from './ruleEngine.js';
+import { extractTokenFlows, wordToAddress, isTransferTopic } from './traceParser.js';
+import { SEVERITIES } from './severityScore.js';
+import { getAddressVelocity } from './velocity.js';
+import {
+  listComplianceRules,
+  seedComplianceRules,
+  getAddressActivity,
+  getTransferActivity,
+  findWatchlistMatches,
+} from '../database/database.js';
+import {
+  RULES_RELOAD_INTERVAL_MS,
+  LARGE_TRANSFER_THRESHOLD,
+  STRUCTURING_THRESHOLD,
+  STRUCTURING_MARGIN,
+  STRUCTURING_WINDOW_HOURS,
+  STRUCTURING_MIN_TRANSFERS,
+  VELOCITY_BASELINE_WINDOW,
+  OUTFLOW_SPIKE_MIN_TRANSFERS,
+  OUTFLOW_SPIKE_MIN_VOLUME,
+} from '../config/config.js';
+import { logger } from '../utils/logger.js';
 
-const BLACKLIST = new Set([
-  '0x1111111111111111111111111111111111111111',
-  '0xdeadbeefdeadbeefdeadbeefdeadbeefdeadbeef',
-]);
+const CALL_OPCODES = new Set(['CALL', 'CALLCODE', 'DELEGATECALL', 'STATICCALL', 'CREATE', 'CREATE2', 'SELFDESTRUCT']);
 
-const HIGH_GAS_THRESHOLD = 5_000_000;
-const INTERNAL_TRANSFER_THRESHOLD = 5;
-const RISKY_OPCODES = new Set(['DELEGATECALL', 'CALLCODE', 'SELFDESTRUCT', 'CREATE', 'CREATE2']);
+/**
+ * Rules shipped with the engine. They are stored on first load and can then be
+ * edited or disabled through the API like any other rule.
+ */
+export const DEFAULT_RULES = [
+  {
+    ruleId: 'BLACKLISTED_ADDRESS',
+    description: 'An address in the transaction, its trace or its Transfer events is on an active watchlist',
+    severity: 'high',
+    conditions: { field: 'watchlist.count', op: 'gt', value: 0 },
+    details: 'Watchlisted address involved: {{watchlist.summary}} ({{tx.from}} -> {{tx.to}})',
+  },
+  {
+    ruleId: 'LARGE_TRANSFER',
+    description: 'Single PYUSD transfer above the large-transfer threshold',
+    severity: 'high',
+    conditions: { field: 'tx.largestTransferAmount', op: 'gt', value: LARGE_TRANSFER_THRESHOLD },
+    details: 'Transfer of {{tx.largestTransferAmount}} PYUSD ({{tx.from}} -> {{tx.recipient}})',
+  },
+  {
+    ruleId: 'STRUCTURING_SUSPECTED',
+    description: 'Repeated transfers just below the reporting threshold from one sender or to one recipient',
+    severity: 'high',
+    conditions: {
+      all: [
+        { field: 'tx.structuringAmount', op: 'exists', value: true },
+        {
+          any: [
+            { field: 'history.structuringFromCount', op: 'gte', value: STRUCTURING_MIN_TRANSFERS - 1 },
+            { field: 'history.structuringToCount', op: 'gte', value: STRUCTURING_MIN_TRANSFERS - 1 },
+          ],
+        },
+      ],
+    },
+    details: `{{tx.structuringAmount}} PYUSD just below ${STRUCTURING_THRESHOLD} PYUSD; in the last ${STRUCTURING_WINDOW_HOURS}h `
+      + '{{tx.structuringFrom}} sent {{history.structuringFromCount}} and {{tx.structuringTo}} received '
+      + '{{history.structuringToCount}} other such transfers',
+  },
+  {
+    ruleId: 'OUTGOING_TRANSFER_BURST',
+    description: 'Sender made more than 50 outgoing PYUSD transfers in the last hour',
+    severity: 'medium',
+    conditions: { field: 'velocity.sender.outCount1h', op: 'gt', value: 50 },
+    details: '{{tx.sender}} made {{velocity.sender.outCount1h}} outgoing transfers to {{velocity.sender.counterparties1h}} counterparties in 1h',
+  },
+  {
+    ruleId: 'OUTFLOW_SPIKE',
+    description: 'Sender\'s 24h PYUSD outflow exceeds 10x its average over the baseline window, given enough baseline activity',
+    severity: 'medium',
+    conditions: {
+      all: [
+        { field: 'velocity.sender.outVolumeRatio24h', op: 'gt', value: 10 },
+        { field: `velocity.sender.outCount${VELOCITY_BASELINE_WINDOW}`, op: 'gte', value: OUTFLOW_SPIKE_MIN_TRANSFERS },
+        { field: `velocity.sender.outVolume${VELOCITY_BASELINE_WINDOW}`, op: 'gte', value: OUTFLOW_SPIKE_MIN_VOLUME },
+      ],
+    },
+    details: '{{tx.sender}} sent {{velocity.sender.outVolume24h}} PYUSD in 24h, {{velocity.sender.outVolumeRatio24h}}x its usual rate',
+  },
+  {
+    ruleId: 'PRIVILEGED_FUNCTION_CALL',
+    description: 'Call to a PYUSD function reserved to the owner, supply controller or asset protection role',
+    severity: 'medium',
+    conditions: {
+      field: 'tx.method',
+      op: 'in',
+      value: [
+        'increaseSupply',
+        'decreaseSupply',
+        'increaseSupplyToAddress',
+        'decreaseSupplyFromAddress',
+        'setSupplyController',
+        'freeze',
+        'unfreeze',
+        'freezeBatch',
+        'unfreezeBatch',
+        'wipeFrozenAddress',
+        'setAssetProtectionRole',
+        'pause',
+        'unpause',
+        'proposeOwner',
+        'claimOwnership',
+        'reclaimToken',
+      ],
+    },
+    details: '{{tx.method}}({{tx.argList}}) called by {{tx.from}}',
+  },
+  {
+    ruleId: 'SELF_TRANSFER_LOOP',
+    description: 'An internal call sends back to the transaction sender',
+    severity: 'medium',
+    conditions: { field: 'metrics.selfTransfer', op: 'eq', value: true },
+    details: 'Loop detected from {{tx.from}}',
+  },
+  {
+    ruleId: 'HIGH_GAS_USAGE',
+    description: 'Abnormally high gas usage',
+    severity: 'medium',
+    conditions: { field: 'metrics.gasUsed', op: 'gt', value: 5_000_000 },
+    details: 'Gas used: {{metrics.gasUsed}}',
+  },
+  {
+    ruleId: 'INTERNAL_TRANSFER_FLOOD',
+    description: 'Excessive internal calls (can indicate laundering/mixing)',
+    severity: 'medium',
+    conditions: { field: 'metrics.internalCalls', op: 'gt', value: 5 },
+    details: '{{metrics.internalCalls}} internal transfers detected',
+  },
+  {
+    ruleId: 'RISKY_OPCODE_USAGE',
+    description: 'Suspicious opcodes in the execution trace',
+    severity: 'medium',
+    conditions: {
+      field: 'metrics.opcodes',
+      op: 'containsAny',
+      value: ['DELEGATECALL', 'CALLCODE', 'SELFDESTRUCT', 'CREATE', 'CREATE2'],
+    },
+    details: 'Opcodes used: {{matches}}',
+  },
+  {
+    ruleId: 'REENTRANCY_SUSPECTED',
+    description: 'DELEGATECALL across multiple depths, or a call back into a contract still executing',
+    severity: 'medium',
+    conditions: {
+      any: [
+        { field: 'metrics.delegateCallDepthCount', op: 'gt', value: 1 },
+        { field: 'metrics.reentrantCallCount', op: 'gt', value: 0 },
+      ],
+    },
+    details: 'Delegate calls at depths: {{metrics.delegateCallDepths}}; re-entered: {{metrics.reentrantAddresses}}',
+  },
+];
+
+// Active rules, refreshed from the database at most every RULES_RELOAD_INTERVAL_MS
+let activeRules = DEFAULT_RULES.map(rule => ({ ...rule, enabled: true }));
+let loadedAt = 0;
+let loading = null;
+let reloadRequested = false;
+let seeded = false;
 
 /**
- * Checks if the transaction involves any blacklisted addresses
+ * Reloads enabled rules from the database, storing the built-in rules first if needed.
+ * Keeps the previous rule set when the database is unavailable.
  */
-function checkBlacklist(tx) {
-  const to = tx.to?.toLowerCase();
-  const from = tx.from?.toLowerCase();
+export async function reloadRules() {
+  if (loading) {
+    // A load already in flight may have read the rules before the latest edit
+    reloadRequested = true;
+    await loading;
+    if (!reloadRequested) return activeRules;
+  }
+
+  reloadRequested = false;
+  loading = (async () => {
+    try {
+      if (!seeded) {
+        await seedComplianceRules(DEFAULT_RULES);
+        seeded = true;
+      }
+      activeRules = await listComplianceRules({ enabledOnly: true });
+    } catch (err) {
+      logger.warn('Failed to reload compliance rules, keeping loaded rules', { loadedRules: activeRules.length, error: err.message });
+    } finally {
+      loadedAt = Date.now();
+      loading = null;
+    }
+  })();
+  await loading;
+  return activeRules;
+}
 
-  if (BLACKLIST.has(to) || BLACKLIST.has(from)) {
-    return {
-      rule: 'BLACKLISTED_ADDRESS',
-      details: `${from} -> ${to}`,
-      flagged: true,
-    };
+async function getActiveRules() {
+  if (loading) {
+    await loading;
+  } else if (Date.now() - loadedAt > RULES_RELOAD_INTERVAL_MS) {
+    await reloadRules();
   }
+  return activeRules;
+}
 
-  return null;
+/**
+ * Collects every address found in the decoded call arguments
+ */
+function decodedAddresses(tx) {
+  const values = Object.values(tx.decoded?.args || {}).flat();
+  return values.filter(v => typeof v === 'string' && /^0x[0-9a-f]{40}$/.test(v));
 }
 
 /**
- * Detects self-transfer behavior (loops)
+ * Collects the addresses the execution touched: call frame senders and targets,
+ * and both sides of every Transfer event emitted along the way (any token)
+ * @param {object} trace - Struct logs or callTracer tree
  */
-function checkSelfTransferLoop(trace, tx) {
-  const transfers = trace.structLogs.filter(log =>
-    ['CALL', 'CALLCODE'].includes(log.op)
-  );
+function traceAddresses(trace) {
+  const addresses = new Set();
 
-  const loopDetected = transfers.some(log => {
+  if (isCallTree(trace)) {
+    for (const { frame } of flattenCallTree(trace)) {
+      if (frame.from) addresses.add(frame.from.toLowerCase());
+      if (frame.to) addresses.add(frame.to.toLowerCase());
+      for (const log of frame.logs || []) {
+        if (log.topics?.length >= 3 && isTransferTopic(log.topics[0])) {
+          addresses.add(wordToAddress(log.topics[1]));
+          addresses.add(wordToAddress(log.topics[2]));
+        }
+      }
+    }
+    return [...addresses];
+  }
+
+  for (const log of trace.structLogs || []) {
     const stack = log.stack;
-    if (stack && stack.length >= 2) {
-      const recipientHex = stack[stack.length - 2]; // second last: recipient
-      const recipientAddr = '0x' + recipientHex.slice(-40).toLowerCase();
-      return recipientAddr === tx.from.toLowerCase();
+    if (!stack) continue;
+    // The call target is the second stack item for every CALL variant
+    if (['CALL', 'CALLCODE', 'DELEGATECALL', 'STATICCALL'].includes(log.op) && stack.length >= 2) {
+      addresses.add(wordToAddress(stack[stack.length - 2]));
     }
-    return false;
-  });
+    // LOG3 pops offset, size, topic0, topic1, topic2 from the top of the stack
+    if (log.op === 'LOG3' && stack.length >= 5 && isTransferTopic(stack[stack.length - 3])) {
+      addresses.add(wordToAddress(stack[stack.length - 4]));
+      addresses.add(wordToAddress(stack[stack.length - 5]));
+    }
+  }
+  return [...addresses];
+}
 
-  return loopDetected
-    ? {
-        rule: 'SELF_TRANSFER_LOOP',
-        details: `Loop detected from ${tx.from}`,
-        flagged: true,
+/**
+ * Whether an internal call sends back to the tx sender
+ */
+function hasSelfTransfer(trace, tx) {
+  const from = tx.from.toLowerCase();
+
+  // The call tree names each callee, no need to read it off the stack
+  if (isCallTree(trace)) {
+    return internalCalls(trace).some(({ frame }) =>
+      ['CALL', 'CALLCODE'].includes(frame.type) && frame.to?.toLowerCase() === from
+    );
+  }
+
+  return trace.structLogs
+    .filter(log => ['CALL', 'CALLCODE'].includes(log.op))
+    .some(log => {
+      const stack = log.stack;
+      if (stack && stack.length >= 2) {
+        const recipientHex = stack[stack.length - 2]; // second last: recipient
+        return '0x' + recipientHex.slice(-40).toLowerCase() === from;
       }
-    : null;
+      return false;
+    });
 }
 
 /**
- * Detects abnormally high gas usage
+ * Trace metrics that rules can reference as metrics.*
+ * @param {object} trace - Struct logs or callTracer tree
+ * @param {object} tx
  */
-function checkHighGas(trace) {
-  const finalGas = trace.gas || (trace.structLogs.at(-1)?.gas || 0);
-  if (finalGas > HIGH_GAS_THRESHOLD) {
-    return {
-      rule: 'HIGH_GAS_USAGE',
-      details: `Gas used: ${finalGas}`,
-      flagged: true,
-    };
+function traceMetrics(trace, tx) {
+  const delegateCallDepths = new Set();
+  const reentrantAddresses = new Set();
+  const opcodes = new Set();
+  let internalCallCount = 0;
+  let gasUsed;
+  let maxDepth = 0;
+
+  if (isCallTree(trace)) {
+    for (const entry of flattenCallTree(trace)) {
+      const { frame, depth } = entry;
+      maxDepth = Math.max(maxDepth, depth + 1);
+      if (depth === 0) continue;
+
+      opcodes.add(frame.type);
+      if (frame.type === 'CALL') internalCallCount++;
+      if (frame.type === 'DELEGATECALL') delegateCallDepths.add(depth);
+      if (isReentrantCall(entry)) reentrantAddresses.add(entry.context);
+    }
+    gasUsed = hexToNumber(trace.gasUsed);
+  } else {
+    for (const log of trace.structLogs) {
+      maxDepth = Math.max(maxDepth, log.depth);
+      if (CALL_OPCODES.has(log.op)) opcodes.add(log.op);
+      if (log.op === 'CALL') internalCallCount++;
+      if (log.op === 'DELEGATECALL') delegateCallDepths.add(log.depth);
+    }
+    gasUsed = trace.gas || (trace.structLogs.at(-1)?.gas || 0);
   }
-  return null;
+
+  return {
+    traceFormat: isCallTree(trace) ? 'callTracer' : 'structLogs',
+    gasUsed,
+    internalCalls: internalCallCount,
+    opcodes: [...opcodes],
+    maxDepth,
+    delegateCallDepths: [...delegateCallDepths],
+    delegateCallDepthCount: delegateCallDepths.size,
+    reentrantAddresses: [...reentrantAddresses],
+    reentrantCallCount: reentrantAddresses.size,
+    selfTransfer: hasSelfTransfer(trace, tx),
+  };
+}
+
+// Transfers within STRUCTURING_MARGIN below STRUCTURING_THRESHOLD
+const STRUCTURING_BAND = { minAmount: STRUCTURING_THRESHOLD * (1 - STRUCTURING_MARGIN), maxAmount: STRUCTURING_THRESHOLD };
+
+function inStructuringBand(amount) {
+  return amount >= STRUCTURING_BAND.minAmount && amount < STRUCTURING_BAND.maxAmount;
 }
 
 /**
- * Detects excessive internal transfers (can indicate laundering/mixing)
+ * PYUSD movements of a transaction: its Transfer events, or the decoded call amount
+ * when there are none (e.g. simulated pending transactions)
  */
-function checkInternalTransferFlood(trace) {
-  const calls = trace.structLogs.filter(log => log.op === 'CALL');
-  if (calls.length > INTERNAL_TRANSFER_THRESHOLD) {
-    return {
-      rule: 'INTERNAL_TRANSFER_FLOOD',
-      details: `${calls.length} internal transfers detected`,
-      flagged: true,
-    };
-  }
-  return null;
+function movedAmounts(tx, from, recipient) {
+  if (tx.transfers?.length) return tx.transfers;
+  if (!tx.decoded?.amount) return [];
+  return [{ from: tx.decoded.args?.from || from, to: recipient, amount: tx.decoded.amount }];
 }
 
 /**
- * Detects suspicious opcodes in execution trace
+ * Sender/recipient activity from stored transactions, only loaded when a rule asks for history.*
+ * @param {object} tx
+ * @param {string} recipient
+ * @param {object} structuring - The transfer just below the reporting threshold, if any
  */
-function checkRiskyOpcodes(trace) {
-  const hits = trace.structLogs.filter(log => RISKY_OPCODES.has(log.op));
-  if (hits.length > 0) {
-    return {
-      rule: 'RISKY_OPCODE_USAGE',
-      details: `Opcodes used: ${[...new Set(hits.map(h => h.op))].join(', ')}`,
-      flagged: true,
-    };
-  }
-  return null;
+async function addressHistory(tx, recipient, structuring) {
+  const now = tx.timestamp || Date.now();
+  const hourAgo = new Date(now - 60 * 60 * 1000);
+  const dayAgo = new Date(now - 24 * 60 * 60 * 1000);
+  const windowStart = new Date(now - STRUCTURING_WINDOW_HOURS * 60 * 60 * 1000);
+  // Bounded by the tx time so replayed transactions do not count later activity
+  const options = { excludeTxHash: tx.hash, until: new Date(now) };
+  const none = { count: 0, volume: 0 };
+
+  const [fromHour, fromDay, toDay, structuringFrom, structuringTo] = await Promise.all([
+    tx.from ? getAddressActivity(tx.from, hourAgo, options) : none,
+    tx.from ? getAddressActivity(tx.from, dayAgo, options) : none,
+    recipient ? getAddressActivity(recipient, dayAgo, { ...options, role: 'to' }) : none,
+    structuring?.from ? getTransferActivity(structuring.from, windowStart, { ...STRUCTURING_BAND, ...options }) : none,
+    structuring?.to ? getTransferActivity(structuring.to, windowStart, { ...STRUCTURING_BAND, ...options, role: 'to' }) : none,
+  ]);
+
+  return {
+    fromTxCount1h: fromHour.count,
+    fromTxCount24h: fromDay.count,
+    fromVolume24h: fromDay.volume,
+    toTxCount24h: toDay.count,
+    toVolume24h: toDay.volume,
+    structuringFromCount: structuringFrom.count,
+    structuringFromVolume: structuringFrom.volume,
+    structuringToCount: structuringTo.count,
+    structuringToVolume: structuringTo.volume,
+  };
 }
 
 /**
- * Detects if DELEGATECALL appears across multiple depths (possible reentrancy)
+ * PYUSD net flows rules can reference as flows.*
+ * @param {object} tokenFlows - Result of extractTokenFlows
  */
-function checkReentrancy(trace) {
-  const depths = new Set();
-  for (const log of trace.structLogs) {
-    if (log.op === 'DELEGATECALL') {
-      depths.add(log.depth);
+function flowContext(tokenFlows) {
+  const table = tokenFlows.netFlows;
+  const recipients = table.filter(entry => entry.net > 0);
+  // Addresses tokens passed through (routers, aggregators), ending with no net change
+  const intermediaries = table.filter(entry => entry.sent > 0 && entry.received > 0 && entry.net === 0);
+
+  return {
+    table,
+    complete: tokenFlows.complete,
+    transferCount: tokenFlows.transfers.length,
+    senders: table.filter(entry => entry.net < 0).map(entry => entry.address),
+    recipients: recipients.map(entry => entry.address),
+    recipientCount: recipients.length,
+    intermediaries: intermediaries.map(entry => entry.address),
+    intermediaryCount: intermediaries.length,
+    maxNetReceived: Math.max(0, ...recipients.map(entry => entry.net)),
+  };
+}
+
+// Active watchlist entries matching any involved address, only loaded when a rule asks for watchlist.*
+async function watchlistContext(addresses) {
+  const hits = await findWatchlistMatches(addresses);
+  return {
+    hits,
+    count: hits.length,
+    addresses: [...new Set(hits.map(hit => hit.address))],
+    lists: [...new Set(hits.map(hit => hit.listId))],
+    categories: [...new Set(hits.map(hit => hit.category))],
+    summary: hits.map(hit => `${hit.address} on ${hit.listName}${hit.reason ? ` (${hit.reason})` : ''}`).join('; '),
+  };
+}
+
+// Rolling counters of the PYUSD sender and recipient, only loaded when a rule asks for velocity.*
+async function velocityContext(sender, recipient, at) {
+  const [senderVelocity, recipientVelocity] = await Promise.all([
+    sender ? getAddressVelocity(sender, at) : {},
+    recipient ? getAddressVelocity(recipient, at) : {},
+  ]);
+  return { sender: senderVelocity, recipient: recipientVelocity };
+}
+
+/**
+ * Builds the context rules are evaluated against
+ * @param {object} trace
+ * @param {object} tx - { hash, from, to, input, value, decoded, status, transfers, timestamp, tokenFlows }
+ * @param {object} load - { history, watchlist, velocity }: which database-backed fields rules reference
+ */
+async function buildContext(trace, tx, load) {
+  const from = tx.from?.toLowerCase();
+  const to = tx.to?.toLowerCase();
+  const transfers = tx.transfers || [];
+  const recipient = tx.decoded?.args?.to || transfers[0]?.to || to;
+  const moved = movedAmounts(tx, from, recipient);
+  const structuring = moved.find(t => inStructuringBand(t.amount));
+  // Whose PYUSD moved, which differs from the tx sender for transferFrom and relayed transfers
+  const sender = moved[0]?.from || from;
+
+  const context = {
+    tx: {
+      hash: tx.hash,
+      from,
+      to,
+      recipient,
+      sender,
+      value: tx.value,
+      input: tx.input,
+      method: tx.decoded?.method,
+      selector: tx.decoded?.selector,
+      amount: tx.decoded?.amount,
+      argList: Object.entries(tx.decoded?.args || {}).map(([k, v]) => `${k}=${v}`).join(', '),
+      status: tx.status,
+      transferCount: transfers.length,
+      transferAmount: transfers.reduce((sum, t) => sum + (t.amount || 0), 0),
+      largestTransferAmount: moved.reduce((max, t) => Math.max(max, t.amount || 0), 0),
+      structuringAmount: structuring?.amount,
+      structuringFrom: structuring?.from,
+      structuringTo: structuring?.to,
+    },
+    args: tx.decoded?.args || {},
+    metrics: traceMetrics(trace, tx),
+    flows: flowContext(tx.tokenFlows || extractTokenFlows(trace, { to, transfers })),
+    addresses: [...new Set([
+      from,
+      to,
+      ...decodedAddresses(tx),
+      ...transfers.flatMap(t => [t.from, t.to]),
+      ...traceAddresses(trace),
+    ].filter(Boolean).map(address => address.toLowerCase()))],
+    history: {},
+    watchlist: { hits: [], count: 0, addresses: [], lists: [], categories: [], summary: '' },
+    velocity: { sender: {}, recipient: {} },
+  };
+
+  if (load.history) {
+    try {
+      context.history = await addressHistory(tx, recipient, structuring);
+    } catch (err) {
+      logger.warn('Failed to load address history', { txHash: tx.hash, error: err.message });
+    }
+  }
+
+  if (load.velocity) {
+    try {
+      context.velocity = await velocityContext(sender, recipient, tx.timestamp || Date.now());
+    } catch (err) {
+      logger.warn('Failed to load address velocity', { txHash: tx.hash, error: err.message });
     }
   }
-  if (depths.size > 1) {
-    return {
-      rule: 'REENTRANCY_SUSPECTED',
-      details: `Delegate calls at depths: ${[...depths].join(', ')}`,
-      flagged: true,
-    };
+
+  if (load.watchlist) {
+    try {
+      context.watchlist = await watchlistContext(context.addresses);
+    } catch (err) {
+      logger.warn('Failed to check watchlists', { txHash: tx.hash, error: err.message });
+    }
   }
-  return null;
+
+  return context;
 }
 
 /**
- * Combine all rules and evaluate
+ * Evaluate the active rules against a transaction
+ * @param {object} trace - The result from debug_traceTransaction (struct logs or callTracer tree)
+ * @param {object} tx - { hash, from, to, input, value, decoded, status, transfers, timestamp, tokenFlows } where decoded is
+ *   the parsed PYUSD call (or null) and tokenFlows the result of extractTokenFlows, computed here when missing
+ * @returns {Promise<Array>} - [{ rule, details, severity, weight, flagged, inputs }]
  */
-export function evaluateCompliance(trace, tx) {
-  const results = [];
+export async function evaluateCompliance(trace, tx) {
+  return evaluateRules(await getActiveRules(), trace, tx);
+}
 
-  const rules = [
-    checkBlacklist,
-    checkSelfTransferLoop,
-    checkHighGas,
-    checkInternalTransferFlood,
-    checkRiskyOpcodes,
-    checkReentrancy,
-  ];
+/**
+ * Evaluate a given set of rules against a transaction, e.g. a rule being backtested
+ * @param {Array} rules - Rule definitions
+ * @param {object} trace
+ * @param {object} tx - As for evaluateCompliance
+ * @returns {Promise<Array>} - [{ rule, details, severity, weight, flagged, inputs }]
+ */
+export async function evaluateRules(rules, trace, tx) {
+  const fields = rules.flatMap(rule => referencedFields(rule.conditions));
+  const context = await buildContext(trace, tx, {
+    history: fields.some(field => field.split('.')[0] === 'history'),
+    watchlist: fields.some(field => field.split('.')[0] === 'watchlist'),
+    velocity: fields.some(field => field.split('.')[0] === 'velocity'),
+  });
 
+  const results = [];
   for (const rule of rules) {
-    const res = rule(trace, tx);
-    if (res) results.push(res);
+    try {
+      const res = evaluateRule(rule, context);
+      if (res) {
+        // Which parts of the context the rule read (tx, metrics, velocity...)
+        results.push({ ...res, inputs: [...new Set(referencedFields(rule.conditions).map(field => field.split('.')[0]))] });
+      }
+    } catch (err) {
+      logger.warn('Rule failed to evaluate', { ruleId: rule.ruleId, txHash: tx.hash, error: err.message });
+    }
   }
 
   return results;
 }
+
+/**
+ * Most severe severity among flagged rules, or null when nothing was flagged
+ * @param {Array} flags - Result of evaluateCompliance
+ */
+export function highestSeverity(flags) {
+  return flags.reduce((highest, flag) => (
+    SEVERITIES.indexOf(flag.severity) > SEVERITIES.indexOf(highest) ? flag.severity : highest
+  ), null);
+}
@@ -0,0 +1,142 @@
+import { ethers } from 'ethers';
+import { PYUSD_ADDRESS } from '../config/config.js';
+
+export const PYUSD_DECIMALS = 6;
+
+// Function surface of the PYUSD (Paxos) token implementation behind the proxy
+const PYUSD_ABI = [
+  // ERC-20
+  'function transfer(address to, uint256 value)',
+  'function transferFrom(address from, address to, uint256 value)',
+  'function approve(address spender, uint256 value)',
+  'function increaseApproval(address spender, uint256 addedValue)',
+  'function decreaseApproval(address spender, uint256 subtractedValue)',
+  'function increaseAllowance(address spender, uint256 addedValue)',
+  'function decreaseAllowance(address spender, uint256 subtractedValue)',
+  'function transferFromBatch(address[] from, address[] to, uint256[] value)',
+
+  // Supply control
+  'function increaseSupply(uint256 value)',
+  'function decreaseSupply(uint256 value)',
+  'function increaseSupplyToAddress(uint256 value, address mintToAddress)',
+  'function decreaseSupplyFromAddress(uint256 value, address burnFromAddress)',
+  'function setSupplyController(address newSupplyController)',
+
+  // Asset protection
+  'function freeze(address addr)',
+  'function unfreeze(address addr)',
+  'function freezeBatch(address[] addresses)',
+  'function unfreezeBatch(address[] addresses)',
+  'function wipeFrozenAddress(address addr)',
+  'function setAssetProtectionRole(address newAssetProtectionRole)',
+
+  // Pausing and ownership
+  'function pause()',
+  'function unpause()',
+  'function proposeOwner(address proposedOwner)',
+  'function disregardProposeOwner()',
+  'function claimOwnership()',
+  'function reclaimToken(address token)',
+
+  // EIP-3009 / EIP-2612 signed transfers
+  'function transferWithAuthorization(address from, address to, uint256 value, uint256 validAfter, uint256 validBefore, bytes32 nonce, uint8 v, bytes32 r, bytes32 s)',
+  'function receiveWithAuthorization(address from, address to, uint256 value, uint256 validAfter, uint256 validBefore, bytes32 nonce, uint8 v, bytes32 r, bytes32 s)',
+  'function cancelAuthorization(address authorizer, bytes32 nonce, uint8 v, bytes32 r, bytes32 s)',
+  'function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
+  'function betaDelegateTransfer(bytes sig, address to, uint256 value, uint256 serviceFee, uint256 seq, uint256 deadline)',
+
+  // Events
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'event Approval(address indexed owner, address indexed spender, uint256 value)',
+];
+
+const pyusdInterface = new ethers.Interface(PYUSD_ABI);
+
+// Parameters that hold token amounts (6 decimals)
+const AMOUNT_PARAMS = new Set(['value', 'addedValue', 'subtractedValue', 'serviceFee']);
+
+/**
+ * Formats a raw PYUSD amount (6 decimals) as a number of tokens
+ * @param {bigint|string} raw
+ * @returns {number}
+ */
+export function formatPyusdAmount(raw) {
+  return Number(ethers.formatUnits(raw, PYUSD_DECIMALS));
+}
+
+// Turn ethers' decoded values into plain JSON (lowercase addresses, decimal strings)
+function serializeArg(value) {
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return value.map(serializeArg);
+  if (typeof value === 'string') return value.toLowerCase();
+  return value;
+}
+
+/**
+ * Decodes calldata sent to the PYUSD contract
+ * @param {string} input - Transaction calldata
+ * @returns {Object|null} - { method, signature, selector, args, amount } or null if not a PYUSD call
+ */
+export function decodePyusdCall(input) {
+  if (typeof input !== 'string' || input.length < 10) return null;
+
+  let parsed;
+  try {
+    parsed = pyusdInterface.parseTransaction({ data: input });
+  } catch {
+    return null;
+  }
+  if (!parsed) return null;
+
+  const args = {};
+  let amount = null;
+
+  parsed.fragment.inputs.forEach((param, idx) => {
+    const raw = parsed.args[idx];
+    args[param.name] = serializeArg(raw);
+
+    if (!AMOUNT_PARAMS.has(param.name)) return;
+
+    if (Array.isArray(raw)) {
+      // Batch calls carry one amount per transfer
+      args[`${param.name}Formatted`] = raw.map(v => ethers.formatUnits(v, PYUSD_DECIMALS));
+      amount = raw.reduce((sum, v) => sum + formatPyusdAmount(v), 0);
+    } else {
+      args[`${param.name}Formatted`] = ethers.formatUnits(raw, PYUSD_DECIMALS);
+      if (param.name !== 'serviceFee') {
+        amount = formatPyusdAmount(raw);
+      }
+    }
+  });
+
+  return {
+    method: parsed.name,
+    signature: parsed.signature,
+    selector: parsed.selector,
+    args,
+    amount
+  };
+}
+
+/**
+ * Decodes the PYUSD Transfer events in a receipt's logs. Receipt logs include
+ * events emitted by nested calls, so this reflects what actually moved.
+ * @param {Array} logs - Receipt logs
+ * @returns {Array} - [{ from, to, value, amount, logIndex }]
+ */
+export function decodePyusdTransfers(logs = []) {
+  const transferTopic = pyusdInterface.getEvent('Transfer').topicHash;
+
+  return logs
+    .filter(log => log.address?.toLowerCase() === PYUSD_ADDRESS && log.topics?.[0] === transferTopic)
+    .map(log => {
+      const parsed = pyusdInterface.parseLog({ topics: log.topics, data: log.data });
+      return {
+        from: parsed.args.from.toLowerCase(),
+        to: parsed.args.to.toLowerCase(),
+        value: parsed.args.value.toString(),
+        amount: formatPyusdAmount(parsed.args.value),
+        logIndex: log.index ?? log.logIndex
+      };
+    });
+}
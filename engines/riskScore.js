@@ -0,0 +1,166 @@
+// Composite address risk scores built from each address's history: alerts triggered,
+// exposure to watchlisted counterparties, velocity anomalies and account age
+import {
+  applyRiskObservation,
+  removeRiskObservations,
+  getRiskObservationCounts,
+  saveRiskScore,
+  getRiskProfiles,
+  findWatchlistMatches
+} from '../database/database.js';
+import { SEVERITIES } from './severityScore.js';
+import { PYUSD_ADDRESS, RISK_SCORE_ELEVATED, RISK_SCORE_HIGH, RISK_WINDOW_DAYS } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WINDOW_MS = RISK_WINDOW_DAYS * DAY_MS;
+const NO_COUNTS = { txCount: 0, alertCount: 0, highSeverityAlertCount: 0, watchlistExposureCount: 0, velocityAnomalyCount: 0 };
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Points per event, capped per input. An address on an active watchlist scores 100.
+export const RISK_WEIGHTS = {
+  alerts: { points: 10, max: 30 },
+  highSeverityAlerts: { points: 10, max: 20 },
+  watchlistExposure: { points: 10, max: 25 },
+  velocityAnomalies: { points: 5, max: 15 },
+  // Addresses first seen less than a day / a week ago
+  newAccount: { day: 10, week: 5 },
+};
+
+/**
+ * Score (0-100) of a risk profile, with the points each input contributed
+ * @param {object|null} profile - Stored profile, null for an address never seen before
+ * @param {number} at - Time the account age is measured at
+ * @returns {object} - { score, breakdown }
+ */
+export function computeRiskScore(profile, at = Date.now()) {
+  if (profile?.listed) {
+    return { score: 100, breakdown: { listed: 100 } };
+  }
+
+  const capped = (count, { points, max }) => Math.min((count || 0) * points, max);
+  const ageMs = profile?.firstSeenAt ? at - new Date(profile.firstSeenAt).getTime() : 0;
+  const breakdown = {
+    alerts: capped(profile?.alertCount, RISK_WEIGHTS.alerts),
+    highSeverityAlerts: capped(profile?.highSeverityAlertCount, RISK_WEIGHTS.highSeverityAlerts),
+    watchlistExposure: capped(profile?.watchlistExposureCount, RISK_WEIGHTS.watchlistExposure),
+    velocityAnomalies: capped(profile?.velocityAnomalyCount, RISK_WEIGHTS.velocityAnomalies),
+    newAccount: ageMs < DAY_MS ? RISK_WEIGHTS.newAccount.day : ageMs < 7 * DAY_MS ? RISK_WEIGHTS.newAccount.week : 0,
+  };
+
+  const score = Math.min(Object.values(breakdown).reduce((sum, points) => sum + points, 0), 100);
+  return { score, breakdown };
+}
+
+/**
+ * Addresses whose risk a transaction affects: the sender and both sides of
+ * every transfer, without the zero address and the PYUSD contract itself
+ * @param {string} from - Transaction sender
+ * @param {Array} transfers - Decoded PYUSD Transfer events
+ */
+export function transactionParties(from, transfers = []) {
+  const parties = [from, ...transfers.flatMap(t => [t.from, t.to])]
+    .filter(Boolean)
+    .map(address => address.toLowerCase());
+  return [...new Set(parties)].filter(address => address !== ZERO_ADDRESS && address !== PYUSD_ADDRESS);
+}
+
+// Profiles with their counts over the RISK_WINDOW_DAYS before `at`, null for addresses never seen
+async function windowedProfiles(addresses, at) {
+  const [profiles, counts] = await Promise.all([
+    getRiskProfiles(addresses),
+    getRiskObservationCounts(addresses, new Date(at - WINDOW_MS), new Date(at))
+  ]);
+  const byAddress = new Map(profiles.map(profile => [profile.address, profile]));
+  return addresses.map(address => {
+    const profile = byAddress.get(address.toLowerCase());
+    return profile ? { ...profile, ...NO_COUNTS, ...counts.get(address.toLowerCase()) } : null;
+  });
+}
+
+/**
+ * Scores of a set of addresses at the given time, from their last RISK_WINDOW_DAYS of activity
+ * @returns {Promise<Array>} - [{ address, score, breakdown }]
+ */
+export async function getRiskScores(addresses, at = Date.now()) {
+  const profiles = await windowedProfiles(addresses, new Date(at).getTime());
+  return addresses.map((address, i) => ({ address, ...computeRiskScore(profiles[i], at) }));
+}
+
+/**
+ * An address's profile with its current counts and score
+ * @returns {Promise<Object|null>} - null for an address never seen
+ */
+export async function getAddressRisk(address) {
+  const [profile] = await windowedProfiles([address], Date.now());
+  return profile && { ...profile, ...computeRiskScore(profile) };
+}
+
+// Store the current counts and score of profiles whose observations changed
+async function rescoreProfiles(addresses) {
+  const now = Date.now();
+  const profiles = await windowedProfiles(addresses, now);
+  for (const profile of profiles.filter(Boolean)) {
+    const { score, breakdown } = computeRiskScore(profile, now);
+    const counts = Object.fromEntries(Object.keys(NO_COUNTS).map(key => [key, profile[key]]));
+    await saveRiskScore(profile.address, score, breakdown, counts);
+  }
+}
+
+/**
+ * Raises an alert's severity when a counterparty is risky: at least medium from
+ * RISK_SCORE_ELEVATED, one level up from RISK_SCORE_HIGH
+ * @param {string} severity
+ * @param {number} score - Highest counterparty score
+ */
+export function adjustSeverityForRisk(severity, score) {
+  const level = SEVERITIES.indexOf(severity);
+  if (score >= RISK_SCORE_HIGH) return SEVERITIES[Math.min(level + 1, SEVERITIES.length - 1)];
+  if (score >= RISK_SCORE_ELEVATED && level < 1) return 'medium';
+  return severity;
+}
+
+/**
+ * Applies a processed transaction to the profiles of its parties and re-scores
+ * them. Re-processing the same transaction does not count it twice. Never throws.
+ * @param {object} observation - { txHash, timestamp, parties, alerted, severity, flags }; severity
+ *   should not include the counterparty risk adjustment, or scores would feed themselves
+ */
+export async function updateRiskProfiles({ txHash, timestamp, parties, alerted, severity, flags = [] }) {
+  try {
+    const listed = new Set((await findWatchlistMatches(parties)).map(match => match.address));
+    // Velocity and history rules describe how an address behaves over time
+    const velocityAnomaly = flags.some(flag => flag.inputs?.some(input => ['velocity', 'history'].includes(input)));
+    const at = new Date(timestamp);
+
+    const applied = [];
+    for (const address of parties) {
+      const profile = await applyRiskObservation(address, txHash, {
+        timestamp: at,
+        expiresAt: new Date(at.getTime() + WINDOW_MS),
+        alerted,
+        highSeverity: severity === 'high' || severity === 'critical',
+        exposed: parties.some(other => other !== address && listed.has(other)),
+        listed: listed.has(address),
+        velocityAnomaly,
+      });
+      if (profile) applied.push(address);
+    }
+    await rescoreProfiles(applied);
+  } catch (err) {
+    logger.warn('Failed to update risk profiles', { txHash, error: err.message });
+  }
+}
+
+/**
+ * Takes transactions dropped by a reorg back out of the profiles of their parties and
+ * re-scores them; the canonical copies are applied again when re-processed. Never throws.
+ * @param {string[]} txHashes
+ */
+export async function undoRiskObservations(txHashes) {
+  try {
+    await rescoreProfiles(await removeRiskObservations(txHashes));
+  } catch (err) {
+    logger.warn('Failed to remove risk observations of orphaned transactions', { transactions: txHashes.length, error: err.message });
+  }
+}
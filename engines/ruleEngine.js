@@ -0,0 +1,241 @@
+// Evaluation and validation of declarative compliance rule definitions
+
+/**
+ * A rule definition:
+ * {
+ *   ruleId: 'HIGH_GAS_USAGE',
+ *   description: 'Abnormally high gas usage',
+ *   enabled: true,
+ *   severity: 'low' | 'medium' | 'high' | 'critical',
+ *   weight: 40,  // optional, severity score points when flagged (default set by severity)
+ *   conditions: { all: [ { field: 'metrics.gasUsed', op: 'gt', value: 5000000 } ] },
+ *   details: 'Gas used: {{metrics.gasUsed}}'
+ * }
+ * Conditions nest with { all: [...] }, { any: [...] } and { not: condition }.
+ * Fields are dotted paths into the evaluation context (tx.*, args.*, metrics.*, history.*, addresses, watchlist.*, velocity.*, flows.*).
+ * In details, {{path}} renders a context value and {{matches}} the values that made leaves match.
+ */
+
+export const RULE_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+export const FIELD_ROOTS = ['tx', 'args', 'metrics', 'history', 'addresses', 'watchlist', 'velocity', 'flows'];
+
+const MAX_CONDITION_DEPTH = 8;
+
+function normalize(value) {
+  return typeof value === 'string' ? value.toLowerCase() : value;
+}
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function compareNumbers(actual, expected, compare) {
+  const a = Number(actual);
+  const b = Number(expected);
+  if (actual === null || actual === undefined || Number.isNaN(a) || Number.isNaN(b)) return { matched: false };
+  return { matched: compare(a, b), hits: [actual] };
+}
+
+// Each operator returns { matched, hits } where hits are the values that matched
+const OPERATORS = {
+  eq: (actual, expected) => ({ matched: normalize(actual) === normalize(expected), hits: [actual] }),
+  ne: (actual, expected) => ({ matched: normalize(actual) !== normalize(expected), hits: [actual] }),
+  gt: (actual, expected) => compareNumbers(actual, expected, (a, b) => a > b),
+  gte: (actual, expected) => compareNumbers(actual, expected, (a, b) => a >= b),
+  lt: (actual, expected) => compareNumbers(actual, expected, (a, b) => a < b),
+  lte: (actual, expected) => compareNumbers(actual, expected, (a, b) => a <= b),
+  in: (actual, expected) => ({ matched: expected.map(normalize).includes(normalize(actual)), hits: [actual] }),
+  notIn: (actual, expected) => ({ matched: !expected.map(normalize).includes(normalize(actual)), hits: [actual] }),
+  contains: (actual, expected) => ({ matched: asArray(actual).map(normalize).includes(normalize(expected)), hits: [expected] }),
+  containsAny: (actual, expected) => {
+    const wanted = new Set(expected.map(normalize));
+    const hits = [...new Set(asArray(actual).filter(item => wanted.has(normalize(item))))];
+    return { matched: hits.length > 0, hits };
+  },
+  exists: (actual, expected) => ({ matched: (actual !== undefined && actual !== null) === expected, hits: [] }),
+};
+
+// Expected value shape per operator
+const VALUE_TYPES = {
+  eq: 'scalar',
+  ne: 'scalar',
+  gt: 'number',
+  gte: 'number',
+  lt: 'number',
+  lte: 'number',
+  in: 'array',
+  notIn: 'array',
+  contains: 'scalar',
+  containsAny: 'array',
+  exists: 'boolean',
+};
+
+/**
+ * Reads a dotted path from the evaluation context
+ * @param {object} context
+ * @param {string} path - e.g. 'metrics.gasUsed'
+ */
+export function getField(context, path) {
+  return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), context);
+}
+
+function evaluateCondition(condition, context, hits) {
+  if (condition.all) {
+    return condition.all.every(child => evaluateCondition(child, context, hits));
+  }
+  if (condition.any) {
+    return condition.any.some(child => evaluateCondition(child, context, hits));
+  }
+  if (condition.not) {
+    return !evaluateCondition(condition.not, context, []);
+  }
+
+  const result = OPERATORS[condition.op](getField(context, condition.field), condition.value);
+  if (result.matched) {
+    hits.push(...result.hits);
+  }
+  return result.matched;
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) return value.map(formatValue).join(', ');
+  if (value === undefined || value === null) return '';
+  return String(value);
+}
+
+function renderDetails(template, context, hits) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path) => (
+    path === 'matches' ? formatValue([...new Set(hits)]) : formatValue(getField(context, path))
+  ));
+}
+
+/**
+ * Evaluates one rule against a context
+ * @param {object} rule - Rule definition
+ * @param {object} context - { tx, args, metrics, flows, history, addresses, watchlist, velocity }
+ * @returns {object|null} - { rule, details, severity, weight, flagged } or null
+ */
+export function evaluateRule(rule, context) {
+  const hits = [];
+  if (!evaluateCondition(rule.conditions, context, hits)) return null;
+
+  return {
+    rule: rule.ruleId,
+    details: rule.details ? renderDetails(rule.details, context, hits) : rule.description || rule.ruleId,
+    severity: rule.severity,
+    weight: rule.weight,
+    flagged: true,
+  };
+}
+
+/**
+ * Lists the fields a condition tree reads, e.g. to skip loading history nobody asks for
+ * @param {object} condition
+ * @returns {string[]}
+ */
+export function referencedFields(condition) {
+  if (!condition || typeof condition !== 'object') return [];
+  if (Array.isArray(condition.all)) return condition.all.flatMap(referencedFields);
+  if (Array.isArray(condition.any)) return condition.any.flatMap(referencedFields);
+  if (condition.not) return referencedFields(condition.not);
+  return condition.field ? [condition.field] : [];
+}
+
+/**
+ * Copy of a condition tree with the value of every leaf on the given fields
+ * replaced, e.g. to try another threshold
+ * @param {object} condition
+ * @param {object} values - { 'tx.largestTransferAmount': 50000 }
+ */
+export function replaceConditionValues(condition, values) {
+  if (!condition || typeof condition !== 'object') return condition;
+  if (Array.isArray(condition.all)) return { ...condition, all: condition.all.map(c => replaceConditionValues(c, values)) };
+  if (Array.isArray(condition.any)) return { ...condition, any: condition.any.map(c => replaceConditionValues(c, values)) };
+  if (condition.not) return { ...condition, not: replaceConditionValues(condition.not, values) };
+  return Object.hasOwn(values, condition.field) ? { ...condition, value: values[condition.field] } : condition;
+}
+
+function validateCondition(condition, path, depth, errors) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  if (depth > MAX_CONDITION_DEPTH) {
+    errors.push(`${path} is nested deeper than ${MAX_CONDITION_DEPTH} levels`);
+    return;
+  }
+
+  for (const group of ['all', 'any']) {
+    if (group in condition) {
+      if (!Array.isArray(condition[group]) || condition[group].length === 0) {
+        errors.push(`${path}.${group} must be a non-empty array`);
+        return;
+      }
+      condition[group].forEach((child, idx) => validateCondition(child, `${path}.${group}[${idx}]`, depth + 1, errors));
+      return;
+    }
+  }
+  if ('not' in condition) {
+    validateCondition(condition.not, `${path}.not`, depth + 1, errors);
+    return;
+  }
+
+  const { field, op, value } = condition;
+  if (typeof field !== 'string' || !FIELD_ROOTS.includes(field.split('.')[0])) {
+    errors.push(`${path}.field must be a path starting with one of: ${FIELD_ROOTS.join(', ')}`);
+  }
+  if (!OPERATORS[op]) {
+    errors.push(`${path}.op must be one of: ${Object.keys(OPERATORS).join(', ')}`);
+    return;
+  }
+
+  const type = VALUE_TYPES[op];
+  const valid = {
+    scalar: ['string', 'number', 'boolean'].includes(typeof value),
+    number: typeof value === 'number' && Number.isFinite(value),
+    array: Array.isArray(value) && value.length > 0,
+    boolean: typeof value === 'boolean',
+  }[type];
+  if (!valid) {
+    errors.push(`${path}.value must be ${type === 'array' ? 'a non-empty array' : `a ${type}`} for '${op}'`);
+  }
+}
+
+/**
+ * Validates a rule definition
+ * @param {object} rule
+ * @returns {string[]} - Error messages, empty when the rule is valid
+ */
+export function validateRule(rule) {
+  const errors = [];
+  if (!rule || typeof rule !== 'object') {
+    return ['Rule must be an object'];
+  }
+
+  if (typeof rule.ruleId !== 'string' || !/^[A-Z][A-Z0-9_]{1,63}$/.test(rule.ruleId)) {
+    errors.push('ruleId must be UPPER_SNAKE_CASE (2-64 characters)');
+  }
+  if (rule.severity !== undefined && !RULE_SEVERITIES.includes(rule.severity)) {
+    errors.push(`severity must be one of: ${RULE_SEVERITIES.join(', ')}`);
+  }
+  // null clears a weight set earlier
+  const validWeight = typeof rule.weight === 'number' && rule.weight >= 0 && rule.weight <= 1000;
+  if (rule.weight !== undefined && rule.weight !== null && !validWeight) {
+    errors.push('weight must be a number between 0 and 1000');
+  }
+  if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+  if (rule.details !== undefined && typeof rule.details !== 'string') {
+    errors.push('details must be a string template');
+  }
+  if (rule.conditions === undefined) {
+    errors.push('conditions are required');
+  } else {
+    validateCondition(rule.conditions, 'conditions', 1, errors);
+  }
+
+  return errors;
+}
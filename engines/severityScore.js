@@ -0,0 +1,85 @@
+// Weighted alert severity: every flagged rule and trace signal adds points, and the
+// total maps to a severity tier. The breakdown is stored on the alert.
+import {
+  SEVERITY_WEIGHTS,
+  SEVERITY_SCORE_MEDIUM,
+  SEVERITY_SCORE_HIGH,
+  SEVERITY_SCORE_CRITICAL
+} from '../config/config.js';
+import { logger } from '../utils/logger.js';
+
+export const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// Points of a flagged rule by its severity (unless the rule sets its own weight),
+// and of each risk report signal
+export const DEFAULT_SEVERITY_WEIGHTS = {
+  low: 10,
+  medium: 25,
+  high: 50,
+  critical: 100,
+  riskyOpcodes: 5,
+  reentrancySuspected: 20,
+  gasSpikeDetected: 5,
+  highGasUsage: 5,
+  largeReturnData: 5,
+};
+
+// Overrides such as 'high:60,reentrancySuspected:30'
+function parseWeights(list) {
+  const weights = { ...DEFAULT_SEVERITY_WEIGHTS };
+  for (const item of list.split(',').map(w => w.trim()).filter(Boolean)) {
+    const [name, points] = item.split(':').map(part => part.trim());
+    if (name in DEFAULT_SEVERITY_WEIGHTS && Number.isFinite(Number(points)) && points !== '') {
+      weights[name] = Number(points);
+    } else {
+      logger.warn('Ignoring malformed severity weight', { weight: item });
+    }
+  }
+  return weights;
+}
+
+const WEIGHTS = parseWeights(SEVERITY_WEIGHTS);
+
+// Trace signals that count towards the score, read from the analyzeTrace report
+const SIGNALS = {
+  riskyOpcodes: report => report.riskyOpcodes?.length > 0,
+  reentrancySuspected: report => !!report.reentrancySuspected,
+  gasSpikeDetected: report => !!report.gasSpikeDetected,
+  highGasUsage: report => !!report.highGasUsage,
+  largeReturnData: report => !!report.largeReturnData,
+};
+
+/**
+ * Severity tier of a score
+ * @param {number} score
+ */
+export function severityForScore(score) {
+  if (score >= SEVERITY_SCORE_CRITICAL) return 'critical';
+  if (score >= SEVERITY_SCORE_HIGH) return 'high';
+  if (score >= SEVERITY_SCORE_MEDIUM) return 'medium';
+  return 'low';
+}
+
+/**
+ * Scores a transaction's flags and risk report
+ * @param {Array} flags - Result of evaluateCompliance
+ * @param {object} report - Result of analyzeTrace
+ * @returns {object} - { score, severity, breakdown: [{ source: 'rule'|'signal', name, points }] }
+ */
+export function scoreSeverity(flags = [], report = {}) {
+  const breakdown = [];
+
+  for (const flag of flags) {
+    const points = flag.weight ?? WEIGHTS[flag.severity] ?? WEIGHTS.medium;
+    breakdown.push({ source: 'rule', name: flag.rule, points });
+  }
+
+  for (const [name, present] of Object.entries(SIGNALS)) {
+    if (report && present(report) && WEIGHTS[name] > 0) {
+      breakdown.push({ source: 'signal', name, points: WEIGHTS[name] });
+    }
+  }
+
+  const score = breakdown.reduce((sum, entry) => sum + entry.points, 0);
+  return { score, severity: severityForScore(score), breakdown };
+}
@@ -1,5 +1,7 @@
 import { ethers } from 'ethers';
-import { provider } from './provider.js';
+import { provider } from '../utils/provider.js';
+import { TRACE_TRACER, TRACE_PRESTATE } from '../config/config.js';
+import { traceCacheKey, getCachedTrace, cacheTrace } from './traceCache.js';
 
 /**
  * Validates if the given value is a valid 0x-prefixed transaction hash
@@ -9,20 +11,78 @@ function isValidTxHash(hash) {
   return /^0x([A-Fa-f0-9]{64})$/.test(hash);
 }
 
+// Tracer options per TRACE_TRACER value. withLog keeps emitted events on each frame.
+const TRACER_OPTIONS = {
+  structLogs: {},
+  callTracer: { tracer: 'callTracer', tracerConfig: { withLog: true } },
+};
+
+const PRESTATE_OPTIONS = { tracer: 'prestateTracer', tracerConfig: { diffMode: true } };
+
+function tracerOptions(tracer) {
+  return TRACER_OPTIONS[tracer] || TRACER_OPTIONS.structLogs;
+}
+
+// Unknown tracer names fall back to the struct logger, and are cached as such
+function tracerName(tracer) {
+  return TRACER_OPTIONS[tracer] ? tracer : 'structLogs';
+}
+
 /**
- * Sends a raw RPC call to GCP Ethereum node for debug_traceTransaction
+ * Checks a trace has the shape the requested tracer produces
+ * @param {Object} res - RPC result
+ * @param {string} tracer - 'structLogs' or 'callTracer'
+ */
+function isValidTrace(res, tracer) {
+  if (!res || typeof res !== 'object') return false;
+  return tracer === 'callTracer' ? typeof res.type === 'string' : Array.isArray(res.structLogs);
+}
+
+// Attach a prestateTracer diff to the trace; the trace is still usable without it
+async function attachPrestate(trace, method, params) {
+  try {
+    trace.prestate = await provider.send(method, [...params, PRESTATE_OPTIONS]);
+  } catch (err) {
+    console.warn(`⚠️ Prestate trace failed: ${err.message}`);
+  }
+  return trace;
+}
+
+/**
+ * Returns the trace of a mined transaction, from the trace cache when possible
  * @param {string} txHash - Transaction hash to trace
- * @returns {Object|null} - Full execution trace or null on failure
+ * @param {Object} options - { tracer: 'structLogs' | 'callTracer', prestate: boolean, cachedOnly: boolean (no RPC call on a cache miss) }
+ * @returns {Object|null} - Struct logs or call tree (with optional prestate diff), or null on failure
  */
-export async function getTransactionTrace(txHash) {
+export async function getTransactionTrace(txHash, { tracer = TRACE_TRACER, prestate = TRACE_PRESTATE, cachedOnly = false } = {}) {
   if (!isValidTxHash(txHash)) {
     console.error(`❌ Invalid transaction hash: ${txHash}`);
     return null;
   }
 
+  const name = tracerName(tracer);
+  const key = traceCacheKey(txHash, name, prestate);
+  const cached = await getCachedTrace(key);
+  if (cached || cachedOnly) return cached;
+
+  const trace = await fetchTransactionTrace(txHash, name, prestate);
+  if (trace) {
+    cacheTrace(key, txHash, name, trace);
+  }
+  return trace;
+}
+
+/**
+ * Sends a raw RPC call to GCP Ethereum node for debug_traceTransaction
+ * @param {string} txHash - Transaction hash to trace
+ * @param {string} tracer - 'structLogs' or 'callTracer'
+ * @param {boolean} prestate - Whether to attach a prestate diff
+ * @returns {Object|null} - Execution trace or null on failure
+ */
+async function fetchTransactionTrace(txHash, tracer, prestate) {
   const tracePayload = {
     method: 'debug_traceTransaction',
-    params: [txHash, {}],
+    params: [txHash, tracerOptions(tracer)],
     id: 1,
     jsonrpc: '2.0',
   };
@@ -30,12 +90,12 @@ export async function getTransactionTrace(txHash) {
   try {
     const res = await provider.send(tracePayload.method, tracePayload.params);
 
-    if (!res || typeof res !== 'object' || !Array.isArray(res.structLogs)) {
+    if (!isValidTrace(res, tracer)) {
       console.warn(`⚠️ Trace for ${txHash} returned unexpected format.`);
       return null;
     }
 
-    return res;
+    return prestate ? attachPrestate(res, tracePayload.method, [txHash]) : res;
   } catch (err) {
     console.error(`❌ Error tracing tx ${txHash}: ${err.message}`);
     // Optional: Retry once on specific errors
@@ -43,7 +103,8 @@ export async function getTransactionTrace(txHash) {
       console.warn(`🔁 Retrying trace for ${txHash}...`);
       try {
         const retryRes = await provider.send(tracePayload.method, tracePayload.params);
-        return retryRes;
+        if (!isValidTrace(retryRes, tracer)) return null;
+        return prestate ? attachPrestate(retryRes, tracePayload.method, [txHash]) : retryRes;
       } catch (retryErr) {
         console.error(`❌ Retry failed for ${txHash}:`, retryErr.message);
       }
@@ -52,3 +113,89 @@ export async function getTransactionTrace(txHash) {
     return null;
   }
 }
+
+/**
+ * Traces every transaction of a block in one debug_traceBlockByNumber call
+ * @param {number} blockNumber
+ * @param {string[]} txHashes - Hashes of all block transactions in block order, used when the node omits txHash
+ * @param {Object} options - { tracer: 'callTracer', prestate: boolean, only: Set of tx hashes to keep (default all) }
+ * @returns {Map|null} - txHash -> trace for every well-formed result, or null if the block trace failed
+ *   or was refused
+ */
+export async function getBlockTraces(blockNumber, txHashes, { tracer = TRACE_TRACER, prestate = TRACE_PRESTATE, only = null } = {}) {
+  // Struct logs of every transaction in a block can exhaust the node's and our memory
+  if (tracer !== 'callTracer') {
+    console.warn(`⚠️ Block trace for ${blockNumber} refused: block tracing requires the callTracer, not ${tracer}`);
+    return null;
+  }
+  const blockTag = ethers.toQuantity(blockNumber);
+
+  try {
+    const results = await provider.send('debug_traceBlockByNumber', [blockTag, tracerOptions(tracer)]);
+    if (!Array.isArray(results)) {
+      console.warn(`⚠️ Block trace for ${blockNumber} returned unexpected format.`);
+      return null;
+    }
+
+    let prestates = null;
+    if (prestate) {
+      prestates = await provider.send('debug_traceBlockByNumber', [blockTag, PRESTATE_OPTIONS])
+        .catch(err => {
+          console.warn(`⚠️ Prestate block trace failed for ${blockNumber}: ${err.message}`);
+          return null;
+        });
+    }
+
+    const traces = new Map();
+    results.forEach((entry, idx) => {
+      const txHash = entry?.txHash || txHashes[idx];
+      const trace = entry?.result;
+      if (!txHash || (only && !only.has(txHash)) || !isValidTrace(trace, tracer)) return;
+
+      if (prestates?.[idx]?.result) {
+        trace.prestate = prestates[idx].result;
+      }
+      traces.set(txHash, trace);
+
+      // Retries and re-evaluations of these txs are then served from the cache
+      cacheTrace(traceCacheKey(txHash, tracerName(tracer), !!trace.prestate), txHash, tracerName(tracer), trace);
+    });
+
+    return traces;
+  } catch (err) {
+    console.error(`❌ Error tracing block ${blockNumber}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Simulates a not-yet-mined transaction with debug_traceCall on top of the latest block
+ * @param {Object} tx - Pending transaction (from, to, data/input, value, gasLimit)
+ * @param {Object} options - { tracer: 'structLogs' | 'callTracer', prestate: boolean }
+ * @returns {Object|null} - Execution trace in the same format as debug_traceTransaction, or null on failure
+ */
+export async function traceCall(tx, { tracer = TRACE_TRACER, prestate = TRACE_PRESTATE } = {}) {
+  const callObject = {
+    from: tx.from,
+    to: tx.to,
+    data: tx.data || tx.input || '0x',
+    value: ethers.toQuantity(tx.value ?? 0),
+  };
+  if (tx.gasLimit ?? tx.gas) {
+    callObject.gas = ethers.toQuantity(tx.gasLimit ?? tx.gas);
+  }
+
+  try {
+    const res = await provider.send('debug_traceCall', [callObject, 'latest', tracerOptions(tracer)]);
+
+    if (!isValidTrace(res, tracer)) {
+      console.warn(`⚠️ Call trace for pending tx ${tx.hash} returned unexpected format.`);
+      return null;
+    }
+
+    return prestate ? attachPrestate(res, 'debug_traceCall', [callObject, 'latest']) : res;
+  } catch (err) {
+    console.error(`❌ Error tracing pending tx ${tx.hash}: ${err.message}`);
+    return null;
+  }
+}
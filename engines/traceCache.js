@@ -0,0 +1,125 @@
+// Trace cache keyed by tx hash: in-memory LRU first, then gzip-compressed MongoDB storage
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { getStoredTrace, saveStoredTrace } from '../database/database.js';
+import { TRACE_CACHE_MAX_ENTRIES, TRACE_CACHE_MAX_BYTES, TRACE_CACHE_TTL_MS } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// MongoDB documents are capped at 16MB; bigger traces only live in memory
+const MAX_STORED_BYTES = 15 * 1024 * 1024;
+
+// key -> { trace, bytes, expiresAt }; Map iteration order doubles as LRU order
+const memory = new Map();
+// Serialized size of everything in memory
+let memoryBytes = 0;
+
+const stats = {
+  memoryHits: 0,
+  storageHits: 0,
+  misses: 0,
+  stores: 0,
+  evictions: 0,
+  storageErrors: 0,
+};
+
+/**
+ * Cache key for a trace. The same tx traced with another tracer is a different entry.
+ * @param {string} txHash
+ * @param {string} tracer - 'structLogs' or 'callTracer'
+ * @param {boolean} prestate - Whether a prestate diff is attached
+ */
+export function traceCacheKey(txHash, tracer, prestate) {
+  return `${txHash.toLowerCase()}:${tracer}${prestate ? '+prestate' : ''}`;
+}
+
+function forget(key) {
+  const entry = memory.get(key);
+  if (!entry) return;
+  memory.delete(key);
+  memoryBytes -= entry.bytes;
+}
+
+// Traces bigger than the whole byte budget are only kept in storage
+function remember(key, trace, bytes) {
+  forget(key);
+  if (bytes > TRACE_CACHE_MAX_BYTES) return;
+  memory.set(key, { trace, bytes, expiresAt: Date.now() + TRACE_CACHE_TTL_MS });
+  memoryBytes += bytes;
+
+  while (memory.size > TRACE_CACHE_MAX_ENTRIES || memoryBytes > TRACE_CACHE_MAX_BYTES) {
+    forget(memory.keys().next().value);
+    stats.evictions++;
+  }
+}
+
+/**
+ * Looks a trace up in memory, then in storage (promoting it back to memory)
+ * @param {string} key - From traceCacheKey
+ * @returns {Object|null}
+ */
+export async function getCachedTrace(key) {
+  const entry = memory.get(key);
+  if (entry && entry.expiresAt > Date.now()) {
+    remember(key, entry.trace, entry.bytes);
+    stats.memoryHits++;
+    return entry.trace;
+  }
+  forget(key);
+
+  try {
+    const doc = await getStoredTrace(key);
+    if (doc) {
+      const data = Buffer.isBuffer(doc.data) ? doc.data : Buffer.from(doc.data.buffer);
+      const json = (await gunzip(data)).toString('utf8');
+      const trace = JSON.parse(json);
+      remember(key, trace, Buffer.byteLength(json));
+      stats.storageHits++;
+      return trace;
+    }
+  } catch (err) {
+    stats.storageErrors++;
+    logger.warn('Trace cache storage read failed', { key, error: err.message });
+  }
+
+  stats.misses++;
+  return null;
+}
+
+/**
+ * Caches a trace in memory right away and persists it compressed in the background
+ * @param {string} key - From traceCacheKey
+ * @param {string} txHash
+ * @param {string} tracer
+ * @param {Object} trace
+ */
+export function cacheTrace(key, txHash, tracer, trace) {
+  const json = JSON.stringify(trace);
+  remember(key, trace, Buffer.byteLength(json));
+  stats.stores++;
+
+  gzip(json)
+    .then(data => {
+      if (data.length > MAX_STORED_BYTES) return null;
+      return saveStoredTrace({ key, txHash: txHash.toLowerCase(), tracer, data });
+    })
+    .catch(err => {
+      stats.storageErrors++;
+      logger.warn('Trace cache storage write failed', { key, txHash, error: err.message });
+    });
+}
+
+export function getTraceCacheStats() {
+  const lookups = stats.memoryHits + stats.storageHits + stats.misses;
+  return {
+    ...stats,
+    hitRate: lookups > 0 ? Number(((stats.memoryHits + stats.storageHits) / lookups).toFixed(4)) : null,
+    memoryEntries: memory.size,
+    maxEntries: TRACE_CACHE_MAX_ENTRIES,
+    memoryBytes,
+    maxBytes: TRACE_CACHE_MAX_BYTES,
+    ttlMs: TRACE_CACHE_TTL_MS,
+  };
+}
@@ -1,3 +1,10 @@
+import { isCallTree, flattenCallTree, hexToNumber, isReentrantCall } from './callTree.js';
+import { decodePyusdCall, formatPyusdAmount } from './pyusdDecoder.js';
+import { PYUSD_ADDRESS } from '../config/config.js';
+
+// keccak256('Transfer(address,address,uint256)'), shared by ERC-20 and ERC-721
+export const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+
 const riskyOpcodes = new Set([
   'DELEGATECALL',
   'CALLCODE',
@@ -13,11 +20,90 @@ const stackManipulationOpcodes = new Set([
 ]);
 
 /**
- * @param {object} trace - The result from debug_traceTransaction
+ * Risk report for a callTracer trace. Opcode-level signals (stack manipulation,
+ * jumps, gas spikes between steps) are not available in a call tree, so they
+ * stay empty; frame types stand in for opcode frequency.
+ * @param {object} trace - callTracer result
+ * @returns {object} risk report
+ */
+function analyzeCallTree(trace) {
+  const report = {
+    traceFormat: 'callTracer',
+    riskyOpcodes: [],
+    stackManipulation: [],
+    opcodeFrequency: {},
+    depthMax: 0,
+    gasSpikeDetected: false,
+    highGasUsage: false,
+    reentrancySuspected: false,
+    reentrantCalls: [],
+    revertedCalls: 0,
+    largeReturnData: false,
+    totalSteps: 0,
+    totalCalls: 0,
+    flagged: false,
+  };
+
+  const delegateCallDepths = new Set();
+
+  for (const entry of flattenCallTree(trace)) {
+    const { frame, depth } = entry;
+    report.totalCalls++;
+    report.depthMax = Math.max(report.depthMax, depth + 1);
+
+    if (frame.error) {
+      report.revertedCalls++;
+    }
+
+    // The top-level call is the transaction itself, not an opcode it executed
+    if (depth === 0) continue;
+
+    report.opcodeFrequency[frame.type] = (report.opcodeFrequency[frame.type] || 0) + 1;
+
+    if (riskyOpcodes.has(frame.type)) {
+      report.riskyOpcodes.push({ op: frame.type, to: frame.to, depth });
+      report.flagged = true;
+
+      if (frame.type === 'DELEGATECALL') {
+        delegateCallDepths.add(depth);
+      }
+    }
+
+    // Unlike struct logs, the tree shows the callee, so re-entry can be seen directly
+    if (isReentrantCall(entry)) {
+      report.reentrantCalls.push({ to: entry.context, depth });
+    }
+  }
+
+  if (hexToNumber(trace.gasUsed) > 5_000_000) {
+    report.highGasUsage = true;
+    report.flagged = true;
+  }
+
+  if (delegateCallDepths.size > 1 || report.reentrantCalls.length > 0) {
+    report.reentrancySuspected = true;
+    report.flagged = true;
+  }
+
+  if (trace.output && trace.output.length > 1024 * 8) {
+    report.largeReturnData = true;
+    report.flagged = true;
+  }
+
+  return report;
+}
+
+/**
+ * @param {object} trace - The result from debug_traceTransaction (struct logs or callTracer)
  * @returns {object} risk report
  */
 export function analyzeTrace(trace) {
+  if (isCallTree(trace)) {
+    return analyzeCallTree(trace);
+  }
+
   const report = {
+    traceFormat: 'structLogs',
     riskyOpcodes: [],
     stackManipulation: [],
     opcodeFrequency: {},
@@ -106,3 +192,174 @@ export function analyzeTrace(trace) {
 
   return report;
 }
+
+/**
+ * Last 20 bytes of a stack word or log topic as a lowercase address. Struct
+ * logger stack items may come with or without 0x and leading zeros.
+ * @param {string} word
+ */
+export function wordToAddress(word) {
+  return '0x' + String(word).replace(/^0x/, '').padStart(64, '0').slice(-40).toLowerCase();
+}
+
+export function isTransferTopic(word) {
+  return typeof word === 'string' && word.replace(/^0x/, '').padStart(64, '0').toLowerCase() === TRANSFER_TOPIC.slice(2);
+}
+
+function wordToBigInt(word) {
+  const hex = String(word).replace(/^0x/, '');
+  return BigInt(`0x${hex || '0'}`);
+}
+
+// The 32-byte word at a byte offset of struct logger memory (an array of 32-byte hex words), if captured
+function readMemoryWord(memory, offset) {
+  if (!Array.isArray(memory)) return null;
+  const hex = memory.map(word => word.replace(/^0x/, '')).join('').slice(offset * 2, offset * 2 + 64);
+  return hex.length === 64 ? BigInt(`0x${hex}`) : null;
+}
+
+// Token transfers done by calls into the token, for call trees captured without logs
+function callFrameTransfers(trace, token) {
+  const transfers = [];
+
+  const visit = (frame, depth, reverted) => {
+    const failed = reverted || !!frame.error;
+    if (!failed && frame.type === 'CALL' && frame.to?.toLowerCase() === token) {
+      const decoded = decodePyusdCall(frame.input);
+      if (decoded?.method === 'transfer') {
+        transfers.push({ from: frame.from.toLowerCase(), to: decoded.args.to, value: BigInt(decoded.args.value), depth, source: 'call' });
+      } else if (decoded?.method === 'transferFrom') {
+        transfers.push({ from: decoded.args.from, to: decoded.args.to, value: BigInt(decoded.args.value), depth, source: 'call' });
+      }
+    }
+    for (const child of frame.calls || []) visit(child, depth + 1, failed);
+  };
+
+  visit(trace, 0, false);
+  return transfers;
+}
+
+// Transfer events emitted by the token in frames that did not revert (needs callTracer withLog)
+function callTreeTransfers(trace, token) {
+  const transfers = [];
+  let hasLogs = false;
+
+  const visit = (frame, depth, reverted) => {
+    const failed = reverted || !!frame.error;
+    if (frame.logs) hasLogs = true;
+    if (!failed) {
+      for (const log of frame.logs || []) {
+        if (log.address?.toLowerCase() !== token || log.topics?.length !== 3 || !isTransferTopic(log.topics[0])) continue;
+        transfers.push({
+          from: wordToAddress(log.topics[1]),
+          to: wordToAddress(log.topics[2]),
+          value: wordToBigInt(log.data),
+          depth,
+          source: 'log',
+        });
+      }
+    }
+    for (const child of frame.calls || []) visit(child, depth + 1, failed);
+  };
+
+  visit(trace, 0, false);
+  return hasLogs ? transfers : callFrameTransfers(trace, token);
+}
+
+/**
+ * LOG3 Transfer emissions of the token in struct logs. The emitting contract is
+ * tracked through CALL-family opcodes (DELEGATECALL and CALLCODE keep the caller's
+ * address, which is how the PYUSD proxy emits its events), and emissions of
+ * frames that reverted are dropped. Amounts are read from memory when captured.
+ */
+function structLogTransfers(trace, token, txTo) {
+  const steps = trace.structLogs;
+  // One entry per active depth: { address, transfers }
+  const frames = [{ address: txTo?.toLowerCase() || null, transfers: [] }];
+
+  const returnTo = (depth, step) => {
+    while (frames.length > depth) {
+      const child = frames.pop();
+      // After a return, the caller's stack top is the call's success flag
+      const succeeded = frames.length === depth && step?.stack?.length ? wordToBigInt(step.stack.at(-1)) !== 0n : false;
+      if (succeeded) frames.at(-1).transfers.push(...child.transfers);
+    }
+  };
+
+  steps.forEach((step, idx) => {
+    if (step.depth < frames.length) returnTo(step.depth, step);
+
+    const frame = frames.at(-1);
+    const stack = step.stack || [];
+
+    if (step.op === 'LOG3' && frame.address === token && stack.length >= 5 && isTransferTopic(stack.at(-3))) {
+      const offset = Number(wordToBigInt(stack.at(-1)));
+      frame.transfers.push({
+        from: wordToAddress(stack.at(-4)),
+        to: wordToAddress(stack.at(-5)),
+        value: readMemoryWord(step.memory, offset),
+        depth: step.depth - 1,
+        source: 'log',
+      });
+    }
+
+    // Code only runs in the callee (and gets a frame) when the next step is one level deeper.
+    // CREATE/CREATE2 frames run init code at an address only known once they return: they
+    // get a frame without address, kept when the caller's stack top (the new address) is non-zero.
+    if (steps[idx + 1]?.depth === step.depth + 1) {
+      let address = null;
+      if (['CALL', 'STATICCALL'].includes(step.op) && stack.length >= 2) address = wordToAddress(stack.at(-2));
+      else if (['DELEGATECALL', 'CALLCODE'].includes(step.op)) address = frame.address;
+      else if (['CREATE', 'CREATE2'].includes(step.op)) address = null;
+      frames.push({ address, transfers: [] });
+    }
+  });
+
+  // A failed transaction keeps none of its events
+  return trace.failed ? [] : frames[0].transfers;
+}
+
+/**
+ * Rebuilds every balance change of a token inside a transaction from its trace:
+ * Transfer events (LOG3) emitted by the token, or the transfer/transferFrom calls
+ * into it when the trace carries no logs. Nested transfers through routers and
+ * aggregators are included; transfers in reverted frames are not.
+ * @param {object} trace - Struct logs or callTracer tree
+ * @param {object} options - { token, to: tx recipient (needed for struct logs),
+ *   transfers: receipt transfers, used for amounts the trace does not carry }
+ * @returns {object} - { transfers: [{ from, to, value, amount, depth, source }],
+ *   netFlows: [{ address, sent, received, net }], complete }
+ */
+export function extractTokenFlows(trace, { token = PYUSD_ADDRESS, to, transfers: receiptTransfers = [] } = {}) {
+  const raw = isCallTree(trace)
+    ? callTreeTransfers(trace, token.toLowerCase())
+    : structLogTransfers(trace, token.toLowerCase(), to);
+
+  // Struct logs without memory only give the parties; the receipt lists the same events in the same order
+  if (raw.some(t => t.value === null) && receiptTransfers.length === raw.length) {
+    raw.forEach((t, idx) => {
+      if (t.value === null && receiptTransfers[idx].from === t.from && receiptTransfers[idx].to === t.to) {
+        t.value = BigInt(receiptTransfers[idx].value);
+      }
+    });
+  }
+
+  const balances = new Map();
+  const transfers = raw.map(t => {
+    const amount = t.value === null ? null : formatPyusdAmount(t.value);
+    for (const [address, key] of [[t.from, 'sent'], [t.to, 'received']]) {
+      const entry = balances.get(address) || { address, sent: 0, received: 0 };
+      entry[key] += amount || 0;
+      balances.set(address, entry);
+    }
+    return { from: t.from, to: t.to, value: t.value === null ? null : t.value.toString(), amount, depth: t.depth, source: t.source };
+  });
+
+  // Back to whole token units (6 decimals) after summing floats
+  const round = value => Math.round(value * 1e6) / 1e6;
+  const netFlows = [...balances.values()]
+    .map(entry => ({ address: entry.address, sent: round(entry.sent), received: round(entry.received), net: round(entry.received - entry.sent) }))
+    .sort((a, b) => Math.abs(b.net) - Math.abs(a.net));
+
+  return { transfers, netFlows, complete: transfers.every(t => t.amount !== null) };
+}
@@ -0,0 +1,148 @@
+// Per-address rolling counters over PYUSD transfers: count, volume in/out and unique
+// counterparties, kept in fixed time buckets in MongoDB so they survive restarts
+import { recordAddressActivity, removeAddressActivity, getAddressActivityBuckets } from '../database/database.js';
+import { VELOCITY_WINDOWS, VELOCITY_BASELINE_WINDOW, VELOCITY_BUCKET_MINUTES } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+/**
+ * Parses a window such as '15m', '1h' or '7d'
+ * @returns {number|null} - Length in ms, null when malformed
+ */
+export function parseWindow(window) {
+  const match = /^(\d+)([mhd])$/.exec(String(window).trim());
+  return match ? Number(match[1]) * UNIT_MS[match[2]] : null;
+}
+
+function parseWindows(list) {
+  const windows = new Map();
+  for (const name of list.split(',').map(w => w.trim()).filter(Boolean)) {
+    const ms = parseWindow(name);
+    if (ms) {
+      windows.set(name, ms);
+    } else {
+      logger.warn('Ignoring malformed velocity window', { window: name });
+    }
+  }
+  return windows;
+}
+
+const WINDOWS = parseWindows(VELOCITY_WINDOWS);
+const BASELINE_MS = parseWindow(VELOCITY_BASELINE_WINDOW);
+const BUCKET_MS = Math.max(VELOCITY_BUCKET_MINUTES, 1) * 60 * 1000;
+
+// Buckets are kept as long as the longest window reaches back
+const RETENTION_MS = Math.max(BASELINE_MS || 0, ...WINDOWS.values()) + BUCKET_MS;
+
+function bucketStart(time) {
+  return Math.floor(time / BUCKET_MS) * BUCKET_MS;
+}
+
+// One counter update per non-zero side of each transfer
+function activityUpdates(txHash, transfers) {
+  const updates = [];
+
+  transfers.forEach((transfer, idx) => {
+    const event = `${txHash}:${transfer.logIndex ?? idx}`;
+    const from = transfer.from?.toLowerCase();
+    const to = transfer.to?.toLowerCase();
+    const amount = transfer.amount || 0;
+
+    // Mints and burns only count for the non-zero side
+    if (from && from !== ZERO_ADDRESS) {
+      updates.push({ address: from, direction: 'out', counterparty: to !== ZERO_ADDRESS ? to : null, amount, event: `${event}:out` });
+    }
+    if (to && to !== ZERO_ADDRESS) {
+      updates.push({ address: to, direction: 'in', counterparty: from !== ZERO_ADDRESS ? from : null, amount, event: `${event}:in` });
+    }
+  });
+  return updates;
+}
+
+/**
+ * Counts a transaction's transfers for both sides. Safe to call again for the same
+ * transaction (retries, backfills): transfers already counted are skipped. Never throws.
+ * @param {string} txHash
+ * @param {Date|number} timestamp - Block time of the transaction
+ * @param {Array} transfers - Decoded PYUSD Transfer events { from, to, amount, logIndex }
+ */
+export async function recordTransferActivity(txHash, timestamp, transfers = []) {
+  const bucket = bucketStart(new Date(timestamp).getTime());
+  const expiresAt = new Date(bucket + RETENTION_MS);
+  const updates = activityUpdates(txHash, transfers);
+
+  try {
+    return await recordAddressActivity(updates.map(update => ({ ...update, bucket: new Date(bucket), expiresAt })));
+  } catch (err) {
+    logger.warn('Failed to record address activity', { txHash, error: err.message });
+    return 0;
+  }
+}
+
+/**
+ * Uncounts the transfers of a transaction dropped by a reorg, so the counters are not
+ * inflated and a re-mined copy (possibly in another bucket) is counted once. Never throws.
+ * @param {string} txHash
+ * @param {Array} transfers - As passed to recordTransferActivity
+ */
+export async function removeTransferActivity(txHash, transfers = []) {
+  try {
+    return await removeAddressActivity(activityUpdates(txHash, transfers));
+  } catch (err) {
+    logger.warn('Failed to remove address activity', { txHash, error: err.message });
+    return 0;
+  }
+}
+
+function sumBuckets(buckets) {
+  const counterparties = new Set();
+  const totals = { outCount: 0, outVolume: 0, inCount: 0, inVolume: 0 };
+  for (const bucket of buckets) {
+    totals.outCount += bucket.outCount;
+    totals.outVolume += bucket.outVolume;
+    totals.inCount += bucket.inCount;
+    totals.inVolume += bucket.inVolume;
+    bucket.counterparties.forEach(address => counterparties.add(address));
+  }
+  return { ...totals, counterparties: counterparties.size };
+}
+
+// How many times the recent rate exceeds the rate over the rest of the baseline window
+function rateRatio(recent, baseline, windowMs) {
+  const prior = baseline - recent;
+  if (!BASELINE_MS || BASELINE_MS <= windowMs || prior <= 0) return null;
+  const expected = prior / (BASELINE_MS - windowMs) * windowMs;
+  return Math.round(recent / expected * 100) / 100;
+}
+
+/**
+ * Rolling counters of an address for every configured window, e.g. outCount1h,
+ * outVolume24h, inCount7d, counterparties24h, and against the baseline window
+ * outVolumeRatio24h / outCountRatio24h / inVolumeRatio24h (null without prior activity)
+ * @param {string} address
+ * @param {Date|number} at - End of the windows (defaults to now)
+ */
+export async function getAddressVelocity(address, at = Date.now()) {
+  const until = bucketStart(new Date(at).getTime()) + BUCKET_MS;
+  const buckets = await getAddressActivityBuckets(address, new Date(until - RETENTION_MS + BUCKET_MS), new Date(until));
+
+  const inWindow = ms => buckets.filter(b => b.bucket.getTime() >= until - ms);
+  const baseline = BASELINE_MS ? sumBuckets(inWindow(BASELINE_MS)) : null;
+
+  const velocity = {};
+  const windows = BASELINE_MS ? [...WINDOWS, [VELOCITY_BASELINE_WINDOW, BASELINE_MS]] : [...WINDOWS];
+  for (const [name, ms] of windows) {
+    const totals = sumBuckets(inWindow(ms));
+    for (const [metric, value] of Object.entries(totals)) {
+      velocity[`${metric}${name}`] = value;
+    }
+    if (baseline && ms < BASELINE_MS) {
+      velocity[`outCountRatio${name}`] = rateRatio(totals.outCount, baseline.outCount, ms);
+      velocity[`outVolumeRatio${name}`] = rateRatio(totals.outVolume, baseline.outVolume, ms);
+      velocity[`inVolumeRatio${name}`] = rateRatio(totals.inVolume, baseline.inVolume, ms);
+    }
+  }
+  return velocity;
+}
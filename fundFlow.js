@@ -0,0 +1,264 @@
+// Multi-hop PYUSD fund-flow tracing over stored transfers, filled in from the chain with eth_getLogs
+import { ethers } from 'ethers';
+import pLimit from 'p-limit';
+import { decodePyusdTransfers } from './engines/pyusdDecoder.js';
+import { getAddressTransfers, findWatchlistMatches } from './database/database.js';
+import { logger } from './utils/logger.js';
+import { withRetry } from './utils/utils.js';
+import {
+  PYUSD_ADDRESS,
+  FLOW_MAX_EDGES,
+  FLOW_MAX_FANOUT,
+  FLOW_LOOKBACK_BLOCKS,
+  FLOW_LOGS_CHUNK_BLOCKS,
+  FLOW_MAX_RANGE_BLOCKS
+} from './config/config.js';
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const ZERO_ADDRESS = ethers.ZeroAddress;
+const SECONDS_PER_SLOT = 12;
+
+const edgeKey = transfer => `${transfer.txHash}:${transfer.logIndex}`;
+
+/**
+ * Block range to search. Dates are converted with the 12s slot time; missed slots
+ * make the estimate early, so the end of the range gets a margin and edges are
+ * then filtered on their actual block time.
+ */
+function resolveBlockRange(head, headTime, { fromBlock, toBlock, since, until }) {
+  const blockAt = date => head - Math.floor((headTime - date.getTime() / 1000) / SECONDS_PER_SLOT);
+
+  let from = fromBlock ?? (since ? blockAt(since) : head - FLOW_LOOKBACK_BLOCKS);
+  let to = toBlock ?? head;
+  if (toBlock === undefined && until) {
+    const estimate = blockAt(until);
+    to = estimate + Math.ceil((head - estimate) * 0.05) + 100;
+  }
+
+  from = Math.max(from, 0);
+  to = Math.min(to, head);
+  return { fromBlock: from, toBlock: to };
+}
+
+// Providers cap how many logs (or bytes) one eth_getLogs call may return
+function isTooManyResults(error) {
+  const codes = [error.error?.code, error.info?.error?.code];
+  const message = [error.message, error.error?.message, error.info?.error?.message].filter(Boolean).join(' ');
+  return codes.includes(-32005)
+    || /more than \d+ results|too many (results|logs)|response size (is )?exceeded|query exceeds max results/i.test(message);
+}
+
+// Logs of a block range, halving the range while the provider reports too many results
+async function getLogsSplitting(provider, filter, fromBlock, toBlock) {
+  const logs = await withRetry(() => provider.getLogs({ ...filter, fromBlock, toBlock }).catch(error => {
+    if (isTooManyResults(error)) return null;
+    throw error;
+  }));
+  if (logs) return logs;
+
+  if (fromBlock === toBlock) {
+    throw new Error(`Too many PYUSD transfers in block ${fromBlock} for one eth_getLogs call`);
+  }
+  const middle = Math.floor((fromBlock + toBlock) / 2);
+  return [
+    ...await getLogsSplitting(provider, filter, fromBlock, middle),
+    ...await getLogsSplitting(provider, filter, middle + 1, toBlock)
+  ];
+}
+
+// Transfers sent ('out') or received ('in') by an address on chain, in eth_getLogs-sized block ranges
+async function chainTransfers(provider, address, role, fromBlock, toBlock) {
+  const padded = ethers.zeroPadValue(address, 32);
+  const topics = role === 'out' ? [TRANSFER_TOPIC, padded] : [TRANSFER_TOPIC, null, padded];
+  const transfers = [];
+
+  for (let start = fromBlock; start <= toBlock; start += FLOW_LOGS_CHUNK_BLOCKS) {
+    const end = Math.min(start + FLOW_LOGS_CHUNK_BLOCKS - 1, toBlock);
+    const logs = await getLogsSplitting(provider, { address: PYUSD_ADDRESS, topics }, start, end);
+    for (const log of logs) {
+      const [transfer] = decodePyusdTransfers([log]);
+      if (transfer) {
+        transfers.push({ ...transfer, txHash: log.transactionHash, blockNumber: log.blockNumber });
+      }
+    }
+  }
+  return transfers;
+}
+
+/**
+ * Walks PYUSD Transfer history from an address or transaction
+ * @param {Object} provider
+ * @param {Object} options
+ * @param {string} [options.address] - Start address
+ * @param {string} [options.txHash] - Start transaction (its transfers are the first hop)
+ * @param {'forward'|'backward'|'both'} [options.direction] - Follow where funds went, where they came from, or both
+ * @param {number} [options.maxHops]
+ * @param {number} [options.minAmount] - Smallest transfer followed, in PYUSD
+ * @param {Date} [options.since] - Ignore transfers before this date
+ * @param {Date} [options.until] - Ignore transfers after this date
+ * @param {number} [options.fromBlock] - Block range, instead of since/until
+ * @param {number} [options.toBlock]
+ * @param {boolean} [options.chain] - Fill in history from the chain (default true)
+ * @returns {Promise<Object|null>} - { start, range, nodes, edges, flagged, truncated, stats }, null when the tx is not found
+ * @throws when the block range is wider than FLOW_MAX_RANGE_BLOCKS
+ */
+export async function traceFundFlow(provider, options) {
+  const { address, txHash, direction = 'forward', maxHops = 3, minAmount = 0, since, until, chain = true } = options;
+
+  const head = await withRetry(() => provider.getBlockNumber());
+  const headBlock = await withRetry(() => provider.getBlock(head));
+  const range = resolveBlockRange(head, headBlock.timestamp, options);
+  if (range.toBlock - range.fromBlock > FLOW_MAX_RANGE_BLOCKS) {
+    throw new Error(`Block range ${range.fromBlock}-${range.toBlock} is wider than FLOW_MAX_RANGE_BLOCKS (${FLOW_MAX_RANGE_BLOCKS})`);
+  }
+
+  const edges = new Map();
+  const nodes = new Map();
+  const stats = { databaseTransfers: 0, chainTransfers: 0 };
+  let truncated = false;
+
+  // Block times of transfers found on chain, fetched once per block
+  const blockTimes = new Map();
+  const blockLimit = pLimit(4);
+  const blockTime = blockNumber => {
+    if (!blockTimes.has(blockNumber)) {
+      blockTimes.set(blockNumber, blockLimit(() => withRetry(() => provider.getBlock(blockNumber)))
+        .then(block => new Date(block.timestamp * 1000)));
+    }
+    return blockTimes.get(blockNumber);
+  };
+
+  const addNode = (nodeAddress, hop, side) => {
+    const node = nodes.get(nodeAddress) || { address: nodeAddress, hop, sides: new Set(), inflow: 0, outflow: 0 };
+    node.hop = Math.min(node.hop, hop);
+    if (side) node.sides.add(side);
+    nodes.set(nodeAddress, node);
+  };
+
+  const addEdge = (transfer, hop, side) => {
+    edges.set(edgeKey(transfer), { ...transfer, hop, direction: side });
+    addNode(transfer.from, hop, side === 'backward' ? side : null);
+    addNode(transfer.to, hop, side === 'forward' ? side : null);
+    nodes.get(transfer.from).outflow += transfer.amount;
+    nodes.get(transfer.to).inflow += transfer.amount;
+  };
+
+  // Stored transfers first, then the chain for whatever the database is missing; largest first
+  const findTransfers = async (nodeAddress, role, fromBlock, toBlock) => {
+    if (fromBlock > toBlock) return [];
+    const found = new Map();
+
+    const stored = await getAddressTransfers(nodeAddress, role, { fromBlock, toBlock, minAmount, limit: FLOW_MAX_FANOUT });
+    for (const transfer of stored) {
+      found.set(edgeKey(transfer), { ...transfer, source: 'database' });
+    }
+    stats.databaseTransfers += stored.length;
+
+    if (chain) {
+      for (const transfer of await chainTransfers(provider, nodeAddress, role, fromBlock, toBlock)) {
+        if (transfer.amount < minAmount || found.has(edgeKey(transfer))) continue;
+        found.set(edgeKey(transfer), { ...transfer, source: 'chain' });
+        stats.chainTransfers++;
+      }
+    }
+
+    const kept = [];
+    for (const transfer of [...found.values()].sort((a, b) => b.amount - a.amount)) {
+      if (kept.length >= FLOW_MAX_FANOUT) break;
+      const timestamp = transfer.timestamp ? new Date(transfer.timestamp) : await blockTime(transfer.blockNumber);
+      if ((since && timestamp < since) || (until && timestamp > until)) continue;
+      kept.push({ ...transfer, timestamp });
+    }
+    return kept;
+  };
+
+  // Frontier per side: addresses to expand, with the block funds reached them at
+  const frontiers = { forward: [], backward: [] };
+  let firstHop = 1;
+
+  if (txHash) {
+    const receipt = await withRetry(() => provider.getTransactionReceipt(txHash));
+    if (!receipt) return null;
+
+    const timestamp = await blockTime(receipt.blockNumber);
+    for (const transfer of decodePyusdTransfers(receipt.logs)) {
+      const edge = { ...transfer, txHash: receipt.hash, blockNumber: receipt.blockNumber, timestamp, source: 'chain' };
+      addEdge(edge, 1, null);
+      frontiers.forward.push({ address: transfer.to, block: receipt.blockNumber });
+      frontiers.backward.push({ address: transfer.from, block: receipt.blockNumber });
+    }
+    firstHop = 2;
+  } else {
+    addNode(address, 0, null);
+    frontiers.forward.push({ address, block: range.fromBlock });
+    frontiers.backward.push({ address, block: range.toBlock });
+  }
+
+  const sides = direction === 'both' ? ['forward', 'backward'] : [direction];
+  for (const side of sides) {
+    const visited = new Set();
+    let frontier = frontiers[side];
+
+    for (let hop = firstHop; hop <= maxHops && frontier.length > 0 && !truncated; hop++) {
+      const next = [];
+      for (const { address: nodeAddress, block } of frontier) {
+        // Mints and burns end the trail
+        if (nodeAddress === ZERO_ADDRESS || visited.has(nodeAddress)) continue;
+        visited.add(nodeAddress);
+
+        if (edges.size >= FLOW_MAX_EDGES) {
+          truncated = true;
+          break;
+        }
+
+        // Funds only leave after they arrived, and only arrived before they left
+        const transfers = side === 'forward'
+          ? await findTransfers(nodeAddress, 'out', Math.max(block, range.fromBlock), range.toBlock)
+          : await findTransfers(nodeAddress, 'in', range.fromBlock, Math.min(block, range.toBlock));
+
+        for (const transfer of transfers) {
+          if (edges.has(edgeKey(transfer))) continue;
+          addEdge(transfer, hop, side);
+          next.push({ address: side === 'forward' ? transfer.to : transfer.from, block: transfer.blockNumber });
+        }
+      }
+      frontier = next;
+    }
+  }
+
+  const matches = await findWatchlistMatches([...nodes.keys()]);
+  const nodeList = [...nodes.values()].map(node => {
+    const hits = matches.filter(match => match.address === node.address);
+    return {
+      address: node.address,
+      hop: node.hop,
+      sides: [...node.sides],
+      inflow: node.inflow,
+      outflow: node.outflow,
+      watchlisted: hits.length > 0,
+      watchlists: hits.map(({ listId, listName, category, reason, source }) => ({ listId, listName, category, reason, source }))
+    };
+  });
+
+  logger.info('Fund flow traced', {
+    start: txHash || address,
+    direction,
+    nodes: nodeList.length,
+    edges: edges.size,
+    truncated,
+    ...stats
+  });
+
+  return {
+    start: txHash ? { txHash } : { address },
+    direction,
+    maxHops,
+    minAmount,
+    range,
+    nodes: nodeList,
+    edges: [...edges.values()],
+    flagged: nodeList.filter(node => node.watchlisted).map(node => node.address),
+    truncated,
+    stats
+  };
+}
@@ -0,0 +1,196 @@
+// Pending-transaction (mempool) monitoring for pre-confirmation alerts
+import pLimit from 'p-limit';
+import { traceCall } from './engines/traceAnalyzer.js';
+import { analyzeTrace } from './engines/traceParser.js';
+import { evaluateCompliance } from './engines/complianceEngine.js';
+import { scoreSeverity } from './engines/severityScore.js';
+import { decodePyusdCall } from './engines/pyusdDecoder.js';
+import { dispatchAlert, retractAlert, processTransaction, getMonitoringStatus } from './monitor.js';
+import { saveAlert, getAlertByTxHash, getPendingAlerts, updateAlertStatus } from './database/database.js';
+import { logger } from './utils/logger.js';
+import {
+  PYUSD_ADDRESS,
+  MEMPOOL_MODE,
+  MEMPOOL_POLL_INTERVAL_MS,
+  MEMPOOL_CONCURRENCY,
+  PENDING_ALERT_EXPIRY_MS,
+  PENDING_ALERT_SWEEP_INTERVAL_MS,
+  WS_RPC_URL,
+  WS_RECONNECT_DELAY_MS,
+  WS_STALE_TIMEOUT_MS
+} from './config/config.js';
+import { subscribePendingTransactions } from './utils/wsSubscription.js';
+
+const limit = pLimit(MEMPOOL_CONCURRENCY);
+
+// Pending tx hashes already evaluated (hash -> first seen ms), pruned by the sweeper
+const seen = new Map();
+
+function touchesPyusd(tx) {
+  const to = tx.to ? String(tx.to).toLowerCase() : null;
+  const input = tx.data || tx.input || '';
+  return to === PYUSD_ADDRESS || (typeof input === 'string' && input.toLowerCase().includes(PYUSD_ADDRESS.slice(2)));
+}
+
+// Simulate a pending PYUSD tx and raise a 'pending' alert if the engines flag it
+async function evaluatePendingTransaction(io, tx) {
+  const txHash = tx.hash;
+  const from = tx.from ? String(tx.from).toLowerCase() : null;
+  const to = tx.to ? String(tx.to).toLowerCase() : null;
+  const input = tx.data || tx.input || '';
+  const value = tx.value ? BigInt(tx.value).toString() : '0';
+
+  const trace = await traceCall(tx);
+  if (!trace) return;
+
+  const decoded = to === PYUSD_ADDRESS ? decodePyusdCall(input) : null;
+  const report = analyzeTrace(trace);
+  const complianceFlags = await evaluateCompliance(trace, { hash: txHash, from, to, input, value, decoded });
+
+  if (!report.flagged && complianceFlags.length === 0) return;
+
+  // The block monitor may have processed the tx already
+  const existing = await getAlertByTxHash(txHash);
+  if (existing) return;
+
+  const { score, severity, breakdown } = scoreSeverity(complianceFlags, report);
+
+  const alert = {
+    txHash,
+    timestamp: new Date().toISOString(),
+    rule: complianceFlags.length ? complianceFlags.map(f => f.rule).join(', ') : 'No rule triggered',
+    details: complianceFlags.length ? complianceFlags.map(f => f.details).join('; ') : 'No details',
+    riskReport: report,
+    severity,
+    severityScore: score,
+    severityBreakdown: breakdown,
+    method: decoded?.method,
+    status: 'pending',
+    // Same rule as mined alerts: direct transfers are always notified, other PYUSD calls only when high or critical severity
+    notified: decoded?.method === 'transfer' || severity === 'high' || severity === 'critical'
+  };
+
+  logger.warn('Pending transaction flagged for compliance issues', {
+    txHash,
+    flags: complianceFlags.map(f => f.rule)
+  });
+
+  await saveAlert(alert);
+  if (alert.notified) {
+    await dispatchAlert(io, alert);
+  } else {
+    logger.info('Pending alert saved but not notified due to low severity', { txHash, severity });
+  }
+}
+
+function handlePendingTransaction(io, tx) {
+  if (!tx || !tx.hash || seen.has(tx.hash) || !touchesPyusd(tx)) return;
+  seen.set(tx.hash, Date.now());
+
+  limit(() => evaluatePendingTransaction(io, tx))
+    .catch(error => logger.error('Failed to evaluate pending transaction', { txHash: tx.hash, error: error.message }));
+}
+
+// newPendingTransactions only delivers hashes, so each one is looked up before filtering
+function startPendingSubscription(provider, io) {
+  const reconnect = () => setTimeout(() => startPendingSubscription(provider, io), WS_RECONNECT_DELAY_MS);
+
+  try {
+    subscribePendingTransactions(WS_RPC_URL, {
+      onTransaction: (txHash) => {
+        if (seen.has(txHash)) return;
+        provider.getTransaction(txHash)
+          .then(tx => handlePendingTransaction(io, tx))
+          .catch(error => logger.debug('Pending transaction lookup failed', { txHash, error: error.message }));
+      },
+      onDrop: () => reconnect()
+    }, WS_STALE_TIMEOUT_MS);
+  } catch (error) {
+    logger.error('Failed to open pending transaction subscription', { error: error.message });
+    reconnect();
+  }
+}
+
+async function pollTxpool(provider, io) {
+  try {
+    const content = await provider.send('txpool_content', []);
+    for (const byNonce of Object.values(content?.pending || {})) {
+      for (const tx of Object.values(byNonce)) {
+        handlePendingTransaction(io, tx);
+      }
+    }
+  } catch (error) {
+    logger.error('Failed to read txpool_content', { error: error.message });
+  } finally {
+    setTimeout(() => pollTxpool(provider, io), MEMPOOL_POLL_INTERVAL_MS);
+  }
+}
+
+// Re-evaluate pending alerts whose tx was mined, expire those that were dropped
+async function sweepPendingAlerts(provider, io) {
+  try {
+    const now = Date.now();
+    for (const [txHash, firstSeen] of seen) {
+      if (now - firstSeen > PENDING_ALERT_EXPIRY_MS) seen.delete(txHash);
+    }
+
+    const pendingAlerts = await getPendingAlerts();
+    for (const alert of pendingAlerts) {
+      const receipt = await provider.getTransactionReceipt(alert.txHash);
+      if (receipt) {
+        // The block scanner runs the mined tx through the rules, which replaces or withdraws
+        // the pending alert. Blocks it already went past (e.g. after a jump) are evaluated here.
+        const { currentBlock } = getMonitoringStatus();
+        if (currentBlock === null || receipt.blockNumber > currentBlock) continue;
+
+        const [current, tx, header] = await Promise.all([
+          getAlertByTxHash(alert.txHash),
+          provider.getTransaction(alert.txHash),
+          provider.getBlock(receipt.blockNumber)
+        ]);
+        if (current?.status !== 'pending' || !tx) continue;
+
+        logger.info('Re-evaluating mined pending alert', { txHash: alert.txHash, blockNumber: receipt.blockNumber });
+        await processTransaction(tx, receipt.blockNumber, io, {
+          provider,
+          blockTimestamp: header?.timestamp,
+          pyusdLogs: receipt.logs.filter(log => log.address?.toLowerCase() === PYUSD_ADDRESS)
+        });
+        continue;
+      }
+
+      if (now - new Date(alert.timestamp).getTime() < PENDING_ALERT_EXPIRY_MS) continue;
+
+      const tx = await provider.getTransaction(alert.txHash);
+      if (!tx) {
+        await updateAlertStatus(alert.txHash, 'expired');
+        await retractAlert(io, alert, 'Pending transaction was dropped from the mempool');
+        logger.info('Pending alert expired', { txHash: alert.txHash });
+      }
+    }
+  } catch (error) {
+    logger.error('Failed to sweep pending alerts', { error: error.message });
+  } finally {
+    setTimeout(() => sweepPendingAlerts(provider, io), PENDING_ALERT_SWEEP_INTERVAL_MS);
+  }
+}
+
+export function startMempoolMonitoring(provider, io) {
+  if (MEMPOOL_MODE === 'off') return;
+
+  if (MEMPOOL_MODE === 'subscribe') {
+    if (!WS_RPC_URL) {
+      logger.warn('MEMPOOL_MODE=subscribe requires WS_RPC_URL, mempool monitoring disabled');
+      return;
+    }
+    startPendingSubscription(provider, io);
+  } else if (MEMPOOL_MODE === 'txpool') {
+    pollTxpool(provider, io);
+  } else {
+    logger.warn('Unknown MEMPOOL_MODE, mempool monitoring disabled', { mode: MEMPOOL_MODE });
+    return;
+  }
+
+  logger.info('Mempool monitoring started', { mode: MEMPOOL_MODE });
+  sweepPendingAlerts(provider, io);
+}
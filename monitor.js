@@ -1,39 +1,155 @@
 // Transaction monitoring functionality
 import pLimit from 'p-limit';
-import { getTransactionTrace } from './traceAnalyzer.js';
-import { analyzeTrace } from './engines/traceParser.js';
+import { getTransactionTrace, getBlockTraces } from './engines/traceAnalyzer.js';
+import { analyzeTrace, extractTokenFlows } from './engines/traceParser.js';
 import { evaluateCompliance } from './engines/complianceEngine.js';
+import { scoreSeverity, SEVERITIES } from './engines/severityScore.js';
+import { recordTransferActivity, removeTransferActivity } from './engines/velocity.js';
+import { transactionParties, getRiskScores, adjustSeverityForRisk, updateRiskProfiles, undoRiskObservations } from './engines/riskScore.js';
+import { decodePyusdCall, decodePyusdTransfers } from './engines/pyusdDecoder.js';
 import { pushToSheet } from './utils/sheetsExporter.js';
-import { sendDiscordAlert } from './utils/discordNotifier.js';
-import { sendEmailAlert } from './emailNotifier.js';
-import { saveAlert } from './database/database.js';
-import { saveTransaction } from './database/database.js';
-import { logger } from './server.js';
+import { sendDiscordAlert, sendDiscordRetraction } from './utils/discordNotifier.js';
+import { sendEmailAlert, sendEmailRetraction } from './utils/emailNotifier.js';
+import { saveAlert, getAlertByTxHash } from './database/database.js';
+import { saveTransaction, saveTransactionFlows } from './database/database.js';
+import {
+  getScanCheckpoint,
+  saveScanCheckpoint,
+  deleteScanCheckpoint,
+  orphanRecordsAfterBlock,
+  getProvisionalAlerts,
+  updateAlertStatus,
+  withdrawPendingAlert
+} from './database/database.js';
+import { logger } from './utils/logger.js';
 import {
   PYUSD_ADDRESS,
   MAX_CONCURRENT_TRACES,
   POLL_INTERVAL_MS,
   MAX_BLOCKS_PER_BATCH,
-  STARTING_BLOCK
+  STARTING_BLOCK,
+  REORG_DEPTH,
+  CONFIRMATION_DEPTH,
+  NOTIFY_FINAL_ONLY,
+  TRACE_SCOPE,
+  TRACE_TRACER,
+  BLOCK_TRACE_MIN_PYUSD_TXS,
+  BLOCK_TRACE_MAX_TXS,
+  INGESTION_MODE,
+  BLOCK_SOURCE,
+  WS_RPC_URL,
+  WS_RECONNECT_DELAY_MS,
+  WS_STALE_TIMEOUT_MS
 } from './config/config.js';
-import { withRetry, getBlockTransactions, notifyClients } from './utils.js';
+import {
+  withRetry,
+  getBlockTransactions,
+  getPyusdLogTransactions,
+  notifyClients,
+  notifyRetraction
+} from './utils/utils.js';
+import { subscribeNewHeads } from './utils/wsSubscription.js';
+import { recordProcessingFailure, clearProcessingFailure } from './deadLetter.js';
+
+// Struct logs of a whole block can run into gigabytes, so block tracing requires the call tracer
+const BLOCK_TRACING = TRACE_SCOPE === 'block' && TRACE_TRACER === 'callTracer';
+if (TRACE_SCOPE === 'block' && !BLOCK_TRACING) {
+  console.warn('⚠️ TRACE_SCOPE=block requires TRACE_TRACER=callTracer; tracing transactions one at a time');
+}
+
+// Concurrency limiter, replaced when the trace concurrency is changed at runtime
+let traceConcurrency = MAX_CONCURRENT_TRACES;
+let limit = pLimit(traceConcurrency);
 
-// Concurrency limiter
-const limit = pLimit(MAX_CONCURRENT_TRACES);
+// Blocks per scan batch, adjustable at runtime
+let batchSize = MAX_BLOCKS_PER_BATCH;
 
 // Track latest scanned block
 let latestBlock = STARTING_BLOCK;
 
-async function processTransaction(tx, blockNumber, io) {
+// Last block persisted as a checkpoint, and a counter bumped on every reset so
+// that a batch already in flight does not overwrite the new position
+let checkpointBlock = null;
+let checkpointGeneration = 0;
+
+// Hashes of the last REORG_DEPTH processed blocks (blockNumber -> hash)
+const recentBlocks = new Map();
+
+// Scan scheduling state
+let scanning = false;
+let rescanRequested = false;
+let pollTimer = null;
+let subscriptionLive = false;
+let started = false;
+let paused = false;
+
+// Last known chain head, the most recent scan error, and per-batch samples for throughput
+let chainHead = null;
+let lastError = null;
+const THROUGHPUT_WINDOW_MS = 5 * 60 * 1000;
+const throughputSamples = [];
+
+// Whether Discord and email went out for an alert; NOTIFY_FINAL_ONLY holds them until it is final
+function sentExternally(alert) {
+  return !!alert.notified && (!NOTIFY_FINAL_ONLY || alert.status === 'final');
+}
+
+// An earlier alert for the same tx that still stands, i.e. was not orphaned, withdrawn or expired
+function standingAlert(alert) {
+  return alert && !alert.orphaned && ['pending', 'provisional', 'final'].includes(alert.status) ? alert : null;
+}
+
+/**
+ * Push an alert to socket.io clients and every notification channel. Channels the
+ * previous alert for the tx already reached (a retried batch, a backfill, a mined
+ * pending alert) are not sent to again.
+ * @param {Object} io
+ * @param {Object} alert
+ * @param {Object} [options] - { previous: the alert stored for the tx before this one }
+ */
+export async function dispatchAlert(io, alert, { previous = null } = {}) {
+  const { txHash } = alert;
+  const earlier = standingAlert(previous);
+  const sheet = !earlier?.notified;
+  const external = sentExternally(alert) && !(earlier && sentExternally(earlier));
+  if (earlier?.notified) {
+    logger.info('Alert already notified, not sending it again', { txHash, sheet, external });
+  }
+
+  notifyClients(io, alert);
+  await Promise.allSettled([
+    ...(sheet ? [
+      pushToSheet(alert).catch(err => logger.error('Failed to push to sheet', { error: err.message, txHash })),
+    ] : []),
+    ...(external ? [
+      sendDiscordAlert(alert).catch(err => logger.error('Failed to send Discord alert', { error: err.message, txHash })),
+      sendEmailAlert(alert).catch(err => logger.error('Failed to send email alert', { error: err.message, txHash })),
+    ] : []),
+  ]);
+}
+
+// Whether a transaction touches PYUSD directly, through its calldata, or through emitted events
+function involvesPyusd(tx, pyusdLogs = []) {
+  const to = tx.to ? String(tx.to).toLowerCase() : null;
+  const from = tx.from ? String(tx.from).toLowerCase() : null;
+  const input = tx.data || tx.input || '';
+
+  return (
+    to === PYUSD_ADDRESS ||
+    from === PYUSD_ADDRESS ||
+    (typeof input === 'string' && input.includes(PYUSD_ADDRESS.slice(2))) ||
+    pyusdLogs.length > 0 // Emitted PYUSD events, e.g. through a router or multisig
+  );
+}
+
+// A pre-fetched trace (from block-level tracing) skips the per-tx debug_traceTransaction call
+export async function processTransaction(tx, blockNumber, io, { provider, blockTimestamp, pyusdLogs = [], notify = true, trace: blockTrace } = {}) {
   if (!tx || typeof tx !== 'object') {
     logger.warn(`Null or malformed transaction received`, { blockNumber });
     return;
   }
 
   try {
-    // Log the transaction
-    console.log('Processing Transaction:', tx);
-
     const txHash = tx.hash || '0x0';
     const to = tx.to ? String(tx.to).toLowerCase() : null;
     const from = tx.from ? String(tx.from).toLowerCase() : null;
@@ -46,169 +162,229 @@ async function processTransaction(tx, blockNumber, io) {
       return;
     }
 
-    // Check if the transaction involves PYUSD (direct address check)
-    const involvesPYUSD = (
-      to === PYUSD_ADDRESS ||
-      from === PYUSD_ADDRESS ||
-      (typeof input === 'string' && input.includes(PYUSD_ADDRESS.slice(2)))
-    );
-
-    // Additionally, check for PYUSD transfer via input data (ERC-20 transfer)
-    const isPYUSDTransfer = input.startsWith('0xa9059cbb'); // 0xa9059cbb is the signature for ERC-20 transfer
-
-    if (isPYUSDTransfer) {
-      const toAddress = '0x' + input.slice(34, 74); // Extracting the recipient address
-      const transferValue = BigInt('0x' + input.slice(74, 138)); // Extracting the value being transferred
+    if (!involvesPyusd(tx, pyusdLogs)) {
+      logger.debug('Skipping non-PYUSD transaction', { txHash });
+      return;
+    }
 
-      // Log the PYUSD-related transaction
-      logger.info(`PYUSD-related TX found (sending to ${toAddress}, value: ${transferValue})`, { txHash, blockNumber });
+    // Calldata is only meaningful to decode when the call goes straight to PYUSD
+    const decoded = to === PYUSD_ADDRESS ? decodePyusdCall(input) : null;
+    const isPYUSDTransfer = decoded?.method === 'transfer';
 
-      // Proceed with processing this transaction as involving PYUSD
-      await saveTransaction({
-        txHash,
-        blockNumber,
-        timestamp: new Date(),
-        from,
-        to: toAddress, // Use the extracted address
-        input,
-        value: transferValue.toString() // Use the extracted value
-      });
-      logger.info('Transaction saved to database', { txHash });
+    logger.info(`PYUSD-related TX detected`, {
+      txHash,
+      blockNumber,
+      method: decoded?.method || null,
+      amount: decoded?.amount ?? null
+    });
+
+    // The receipt tells us whether the tx reverted and which PYUSD actually moved
+    const receipt = await withRetry(() => provider.getTransactionReceipt(txHash));
+    const transfers = receipt ? decodePyusdTransfers(receipt.logs) : [];
+    const status = receipt ? (receipt.status === 1 ? 'success' : 'reverted') : undefined;
+    const movedAmount = transfers.reduce((sum, t) => sum + t.amount, 0);
+    const txTime = blockTimestamp ? blockTimestamp * 1000 : Date.now();
+
+    await saveTransaction({
+      txHash,
+      blockNumber,
+      blockHash: receipt?.blockHash,
+      timestamp: new Date(txTime),
+      from,
+      // For plain transfers, keep storing the recipient and raw token amount as before
+      to: isPYUSDTransfer ? decoded.args.to : to,
+      input,
+      value: isPYUSDTransfer ? decoded.args.value : value,
+      method: decoded?.method,
+      args: decoded?.args,
+      // Prefer what the Transfer events moved over what the outer calldata asked for
+      amount: receipt ? movedAmount : (decoded?.amount ?? undefined),
+      status,
+      gasUsed: receipt?.gasUsed?.toString(),
+      effectiveGasPrice: receipt?.gasPrice?.toString(),
+      transfers
+    });
+    logger.info('Transaction saved to database', { txHash });
+
+    // Rolling per-address counters include this tx before rules read them
+    await recordTransferActivity(txHash, txTime, transfers);
+
+    const trace = blockTrace || await withRetry(() => getTransactionTrace(txHash));
+    if (!trace) {
+      logger.warn(`No trace available for transaction`, { txHash });
+      await recordProcessingFailure('transaction', { txHash, blockNumber, notify }, 'No trace available for transaction');
+      return false;
+    }
 
-      // Process trace and compliance (same as before)
-      const trace = await withRetry(() => getTransactionTrace(txHash));
-      if (!trace) {
-        logger.warn(`No trace available for transaction`, { txHash });
-        return;
-      }
+    const report = analyzeTrace(trace);
 
-      const report = analyzeTrace(trace);
-      const complianceFlags = evaluateCompliance(trace, tx);
+    // Who ended up with the tokens once every internal hop is accounted for
+    const tokenFlows = extractTokenFlows(trace, { to, transfers });
+    try {
+      await saveTransactionFlows(txHash, tokenFlows);
+    } catch (err) {
+      logger.warn('Failed to save token flows', { txHash, error: err.message });
+    }
 
-      // Ensure severity is valid (low, medium, high)
-      let severity = report?.severity || 'medium';
-      if (!['low', 'medium', 'high'].includes(severity)) {
-        severity = 'medium'; // Default to 'medium' if the severity is invalid
-      }
+    const complianceFlags = await evaluateCompliance(trace, {
+      hash: txHash, from, to, input, value, decoded, status, transfers, timestamp: txTime, tokenFlows
+    });
 
-      if (report.flagged || complianceFlags.length > 0) {
-        logger.warn(`Transaction flagged for compliance issues`, {
-          txHash,
-          flags: complianceFlags.map(f => f.rule)
-        });
+    // Flagged rules and trace signals add up to the severity; ensure it is valid (low, medium, high, critical)
+    const severityScore = scoreSeverity(complianceFlags, report);
+    let severity = severityScore.severity;
+    if (!SEVERITIES.includes(severity)) {
+      severity = 'medium'; // Default to 'medium' if the severity is invalid
+    }
+    // What risk profiles record, before counterparty risk raises it
+    const scoredSeverity = severity;
 
-        // Handle alerts
-        const alert = {
-          txHash,
-          blockNumber,
-          timestamp: new Date().toISOString(),
-          rule: complianceFlags.length ? complianceFlags.map(f => f.rule).join(', ') : 'No rule triggered',
-          details: complianceFlags.length ? complianceFlags.map(f => f.details).join('; ') : 'No details',
-          riskReport: report,
-          severity, // Adding severity to alert
-        };
+    const parties = transactionParties(from, transfers);
+    const flagged = report.flagged || complianceFlags.length > 0;
 
-        try {
-          await saveAlert(alert);
-        } catch (err) {
-          logger.error('Failed to save alert to database', { error: err.message, txHash });
-        }
+    if (flagged) {
+      logger.warn(`Transaction flagged for compliance issues`, {
+        txHash,
+        flags: complianceFlags.map(f => f.rule)
+      });
 
-        // Notify clients and send alerts
-        notifyClients(io, alert);
-        await Promise.allSettled([
-          pushToSheet(alert).catch(err => logger.error('Failed to push to sheet', { error: err.message, txHash })),
-          sendDiscordAlert(alert).catch(err => logger.error('Failed to send Discord alert', { error: err.message, txHash })),
-          sendEmailAlert(alert).catch(err => logger.error('Failed to send email alert', { error: err.message, txHash })),
-        ]);
+      // Counterparties with a bad history make the alert more severe; scores predate this tx
+      let counterpartyRisk = [];
+      try {
+        counterpartyRisk = (await getRiskScores(parties, txTime)).filter(r => r.score > 0);
+      } catch (err) {
+        logger.warn('Failed to load counterparty risk scores', { txHash, error: err.message });
+      }
+      const maxRisk = Math.max(0, ...counterpartyRisk.map(r => r.score));
+      const adjusted = adjustSeverityForRisk(severity, maxRisk);
+      if (adjusted !== severity) {
+        logger.info('Alert severity raised by counterparty risk', { txHash, from: severity, to: adjusted, score: maxRisk });
+        severity = adjusted;
       }
-    } else if (involvesPYUSD) {
-      // If it's a PYUSD-related transaction but not a direct transfer, continue processing
-      logger.info(`PYUSD-related TX detected`, { txHash, blockNumber });
 
-      await saveTransaction({
+      const alert = {
         txHash,
         blockNumber,
-        timestamp: new Date(),
-        from,
-        to,
-        input,
-        value
-      });
-      logger.info('Transaction saved to database', { txHash });
-
-      // Process trace and compliance (same as before)
-      const trace = await withRetry(() => getTransactionTrace(txHash));
-      if (!trace) {
-        logger.warn(`No trace available for transaction`, { txHash });
-        return;
+        timestamp: new Date().toISOString(),
+        rule: complianceFlags.length ? complianceFlags.map(f => f.rule).join(', ') : 'No rule triggered',
+        details: complianceFlags.length ? complianceFlags.map(f => f.details).join('; ') : 'No details',
+        riskReport: report,
+        severity,
+        severityScore: severityScore.score,
+        severityBreakdown: severityScore.breakdown,
+        method: decoded?.method,
+        counterpartyRisk: counterpartyRisk.map(({ address, score }) => ({ address, score })),
+        // Supersedes any pending alert raised from the mempool
+        status: CONFIRMATION_DEPTH > 0 ? 'provisional' : 'final',
+        // Direct transfers are always notified, other PYUSD calls only when high or critical severity
+        notified: notify && (isPYUSDTransfer || severity === 'high' || severity === 'critical')
+      };
+
+      // Reprocessing a tx must not notify twice, so note what was stored for it before
+      let previous = null;
+      try {
+        previous = await getAlertByTxHash(txHash);
+        const saved = await saveAlert(alert);
+        // A reprocessed alert keeps the status it had reached, so a final one is not re-sent as provisional
+        if (saved) alert.status = saved.status;
+      } catch (err) {
+        logger.error('Failed to save alert to database', { error: err.message, txHash });
       }
 
-      const report = analyzeTrace(trace);
-      const complianceFlags = evaluateCompliance(trace, tx);
-
-      // Ensure severity is valid (low, medium, high)
-      let severity = report?.severity || 'medium';
-      if (!['low', 'medium', 'high'].includes(severity)) {
-        severity = 'medium'; // Default to 'medium' if the severity is invalid
+      if (!notify) {
+        logger.info('Alert saved, notifications disabled for this run', { txHash });
+      } else if (alert.notified) {
+        await dispatchAlert(io, alert, { previous });
+      } else {
+        logger.info('Alert saved but not notified due to low severity', { txHash, severity });
       }
-
-      if (report.flagged || complianceFlags.length > 0) {
-        logger.warn(`Transaction flagged for compliance issues`, {
-          txHash,
-          flags: complianceFlags.map(f => f.rule)
-        });
-
-        const alert = {
-          txHash,
-          blockNumber,
-          timestamp: new Date().toISOString(),
-          rule: complianceFlags.map(f => f.rule),
-          details: complianceFlags.map(f => f.details),
-          riskReport: report,
-          severity, 
-        };
-
-        try {
-          await saveAlert(alert);
-        } catch (err) {
-          logger.error('Failed to save alert to database', { error: err.message, txHash });
-        }
-
-        // Only send notifications for high severity
-        if (severity === 'high') {
-          notifyClients(io, alert);
-          await Promise.allSettled([
-            pushToSheet(alert).catch(err => logger.error('Failed to push to sheet', { error: err.message, txHash })),
-            sendDiscordAlert(alert).catch(err => logger.error('Failed to send Discord alert', { error: err.message, txHash })),
-            sendEmailAlert(alert).catch(err => logger.error('Failed to send email alert', { error: err.message, txHash })),
-          ]);
-        } else {
-          logger.info('Alert saved but not notified due to low severity', { txHash, severity });
+    } else {
+      // A pending alert raised from the mempool is only kept if the mined tx still matches
+      try {
+        const withdrawn = await withdrawPendingAlert(txHash, { blockNumber });
+        if (withdrawn) {
+          logger.info('Pending alert withdrawn, mined transaction no longer flagged', { txHash, blockNumber });
+          await retractAlert(io, withdrawn, 'Mined transaction no longer matches any rule');
         }
+      } catch (err) {
+        logger.error('Failed to withdraw pending alert', { error: err.message, txHash });
       }
-    } else {
-      console.log('Skipping non-PYUSD transaction:', txHash);
     }
+
+    await updateRiskProfiles({ txHash, timestamp: txTime, parties, alerted: flagged, severity: scoredSeverity, flags: complianceFlags });
+
+    await clearProcessingFailure('transaction', txHash);
+    return true;
   } catch (error) {
     const txHash = tx && tx.hash ? tx.hash : 'unknown';
     logger.error(`Error processing transaction`, { txHash, error: error.message });
+    if (tx?.hash) {
+      await recordProcessingFailure('transaction', { txHash, blockNumber, notify }, error);
+    }
+    return false;
   }
 }
 
 
-async function processBlockSafely(provider, blockNumber, io) {
+/**
+ * Traces the whole block in one call when it holds enough PYUSD txs to be worth
+ * it and is small enough to trace in one go. Returns null to fall back to
+ * per-tx tracing; txs missing from the result are also traced individually.
+ */
+async function traceBlock(provider, blockNumber, header, transactions, logsByTx) {
+  const pyusdTxs = transactions.filter(tx => tx && involvesPyusd(tx, logsByTx?.get(tx.hash)));
+  if (pyusdTxs.length < BLOCK_TRACE_MIN_PYUSD_TXS) return null;
+
+  // The block trace covers every tx in the block, not only the PYUSD ones
+  const txHashes = header?.transactions || transactions.map(tx => tx.hash);
+  if (txHashes.length > BLOCK_TRACE_MAX_TXS) {
+    logger.info('Block too large for block-level tracing, tracing per transaction', { blockNumber, txCount: txHashes.length });
+    return null;
+  }
+
+  const traces = await getBlockTraces(blockNumber, txHashes, { only: new Set(pyusdTxs.map(tx => tx.hash)) });
+  if (!traces) {
+    logger.warn('Block-level trace failed, tracing per transaction', { blockNumber });
+    return null;
+  }
+
+  logger.info('Traced block in one call', { blockNumber, traced: traces.size, pyusdTxs: pyusdTxs.length });
+  return traces;
+}
+
+// Process a block's transactions. In log ingestion mode the caller passes the
+// transactions (and their PYUSD logs) it already fetched for the block range.
+// Backfill jobs pass their own limiter and can turn notifications off.
+export async function processBlockSafely(provider, blockNumber, io, { header, transactions, logsByTx, limiter = limit, notify = true } = {}) {
   try {
     logger.info(`Processing block`, { blockNumber });
 
-    const transactions = await withRetry(() => getBlockTransactions(provider, blockNumber));
+    if (!transactions) {
+      transactions = await withRetry(() => getBlockTransactions(provider, blockNumber));
+    }
     logger.info(`Retrieved transactions`, { blockNumber, txCount: transactions.length });
 
+    // Stored transactions carry the block time, not the processing time
+    if (!header && transactions.length > 0) {
+      header = await withRetry(() => provider.getBlock(blockNumber));
+    }
+    const blockTimestamp = header?.timestamp;
+
+    const blockTraces = BLOCK_TRACING
+      ? await traceBlock(provider, blockNumber, header, transactions, logsByTx)
+      : null;
+
     // Process each transaction individually with proper error handling
     const results = await Promise.all(
       transactions.map(tx =>
-        limit(() =>
-          processTransaction(tx, blockNumber, io)
+        limiter(() =>
+          processTransaction(tx, blockNumber, io, {
+            provider,
+            blockTimestamp,
+            pyusdLogs: logsByTx?.get(tx.hash),
+            notify,
+            trace: blockTraces?.get(tx.hash)
+          })
             .catch(error => {
               logger.error(`Failed to process transaction`, {
                 txHash: tx?.hash || 'unknown',
@@ -239,6 +415,8 @@ async function processBlockSafely(provider, blockNumber, io) {
       });
     }
 
+    await clearProcessingFailure('block', blockNumber);
+
     // Return more detailed information about the processing result
     return {
       success: true,
@@ -249,47 +427,233 @@ async function processBlockSafely(provider, blockNumber, io) {
     };
   } catch (error) {
     logger.error(`Error processing block`, { blockNumber, error: error.message });
+    const deadLettered = await recordProcessingFailure('block', { blockNumber, notify }, error);
     return {
       success: false,
       blockNumber,
-      error: error.message
+      error: error.message,
+      deadLettered
     };
   }
 }
 
 
+// Remember a processed block's hash and forget blocks beyond the reorg window
+function rememberBlock(blockNumber, hash) {
+  recentBlocks.set(blockNumber, hash);
+  for (const number of recentBlocks.keys()) {
+    if (number <= blockNumber - REORG_DEPTH) {
+      recentBlocks.delete(number);
+    }
+  }
+}
+
+function serializeRecentBlocks() {
+  return [...recentBlocks.entries()].map(([number, hash]) => ({ number, hash }));
+}
+
+/**
+ * Compares a new block's parent hash with the hash we processed at that height.
+ * Returns the highest block that is still canonical when a reorg happened, or null.
+ */
+async function findReorgAncestor(provider, header) {
+  const knownParentHash = recentBlocks.get(header.number - 1);
+  if (!knownParentHash || knownParentHash === header.parentHash) {
+    return null;
+  }
+
+  logger.warn(`Chain reorganization detected`, {
+    blockNumber: header.number,
+    expectedParentHash: knownParentHash,
+    actualParentHash: header.parentHash
+  });
+
+  const tracked = [...recentBlocks.keys()]
+    .filter(number => number < header.number)
+    .sort((a, b) => b - a);
+
+  for (const number of tracked) {
+    const canonical = await withRetry(() => provider.getBlock(number));
+    if (canonical && canonical.hash === recentBlocks.get(number)) {
+      return number;
+    }
+  }
+
+  const oldest = Math.min(...tracked) - 1;
+  logger.error(`Reorg is deeper than tracked history, rolling back to oldest tracked block`, {
+    reorgDepth: REORG_DEPTH,
+    ancestor: oldest
+  });
+  return oldest;
+}
+
+// Retract an alert over socket.io, and over Discord and email when it was sent there
+export async function retractAlert(io, alert, reason, { sent = sentExternally(alert) } = {}) {
+  notifyRetraction(io, alert, reason);
+  if (!sent) return;
+
+  await Promise.allSettled([
+    sendDiscordRetraction(alert, reason).catch(err => logger.error('Failed to send Discord retraction', { error: err.message, txHash: alert.txHash })),
+    sendEmailRetraction(alert, reason).catch(err => logger.error('Failed to send email retraction', { error: err.message, txHash: alert.txHash })),
+  ]);
+}
+
+/**
+ * Promotes provisional alerts once their block is CONFIRMATION_DEPTH deep, or
+ * withdraws them if the tx no longer has a receipt. Notifications deferred by
+ * NOTIFY_FINAL_ONLY are sent on promotion.
+ */
+async function finalizeAlerts(provider, io, headBlock) {
+  if (CONFIRMATION_DEPTH <= 0) return;
+
+  const alerts = await getProvisionalAlerts(headBlock - CONFIRMATION_DEPTH);
+  for (const alert of alerts) {
+    try {
+      const receipt = await withRetry(() => provider.getTransactionReceipt(alert.txHash));
+
+      if (!receipt) {
+        const withdrawn = await updateAlertStatus(alert.txHash, 'withdrawn');
+        logger.warn('Provisional alert withdrawn, transaction no longer on chain', { txHash: alert.txHash });
+        // Sent or not is decided by the provisional alert, before it was withdrawn
+        await retractAlert(io, withdrawn || alert, 'Transaction disappeared before reaching confirmation depth', {
+          sent: sentExternally(alert)
+        });
+        continue;
+      }
+
+      // Re-included at a different height: wait until that block is deep enough
+      if (receipt.blockNumber > headBlock - CONFIRMATION_DEPTH) {
+        await updateAlertStatus(alert.txHash, 'provisional', { blockNumber: receipt.blockNumber });
+        continue;
+      }
+
+      const finalAlert = await updateAlertStatus(alert.txHash, 'final', { blockNumber: receipt.blockNumber });
+      logger.info('Alert finalized', { txHash: alert.txHash, blockNumber: receipt.blockNumber });
+      io.emit('alert-finalized', finalAlert);
+
+      if (NOTIFY_FINAL_ONLY && alert.notified) {
+        await Promise.allSettled([
+          sendDiscordAlert(finalAlert).catch(err => logger.error('Failed to send Discord alert', { error: err.message, txHash: alert.txHash })),
+          sendEmailAlert(finalAlert).catch(err => logger.error('Failed to send email alert', { error: err.message, txHash: alert.txHash })),
+        ]);
+      }
+    } catch (error) {
+      logger.error('Failed to finalize alert', { txHash: alert.txHash, error: error.message });
+    }
+  }
+}
+
+// Orphan everything above the common ancestor and rewind so the canonical blocks are re-processed
+async function rollbackToBlock(ancestor, io) {
+  const { transactions, alerts, orphanedTransactions } = await orphanRecordsAfterBlock(ancestor);
+
+  // Canonical blocks are re-processed and count their transfers and risk observations again
+  for (const tx of orphanedTransactions) {
+    await removeTransferActivity(tx.txHash, tx.transfers);
+  }
+  await undoRiskObservations(orphanedTransactions.map(tx => tx.txHash));
+
+  for (const number of [...recentBlocks.keys()]) {
+    if (number > ancestor) {
+      recentBlocks.delete(number);
+    }
+  }
+
+  latestBlock = ancestor;
+  await saveScanCheckpoint(ancestor, serializeRecentBlocks());
+  checkpointBlock = ancestor;
+
+  logger.warn(`Rolled back to common ancestor after reorg`, {
+    ancestor,
+    orphanedTransactions: transactions,
+    orphanedAlerts: alerts.length
+  });
+
+  const reason = `Block ${ancestor + 1} or later was dropped by a chain reorganization`;
+  for (const alert of alerts) {
+    await retractAlert(io, alert, reason);
+  }
+}
+
+
 // Main monitoring function
 
 
 
-async function monitorBlocks(provider, io) {
-  // Initialize starting block if needed
-  if (!latestBlock) {
+function recordError(message, blockNumber) {
+  lastError = { message, blockNumber, at: new Date().toISOString() };
+}
+
+function recordThroughput(blocks, transactions) {
+  const now = Date.now();
+  throughputSamples.push({ at: now, blocks, transactions });
+  while (throughputSamples.length > 0 && throughputSamples[0].at < now - THROUGHPUT_WINDOW_MS) {
+    throughputSamples.shift();
+  }
+}
+
+// Scan every block between the last processed block and the chain head
+async function scanNewBlocks(provider, io) {
+  // Initialize starting block if needed; block 0 is a valid position, only null means unset
+  if (latestBlock === null) {
     try {
       latestBlock = await withRetry(() => provider.getBlockNumber());
       logger.info(`Starting from block`, { blockNumber: latestBlock });
     } catch (error) {
-      logger.error(`Failed to get latest block number, retrying in ${POLL_INTERVAL_MS}ms`, { error: error.message });
-      setTimeout(() => monitorBlocks(provider, io), POLL_INTERVAL_MS);
+      logger.error(`Failed to get latest block number, retrying on next tick`, { error: error.message });
       return;
     }
   }
 
   try {
     const currentBlock = await withRetry(() => provider.getBlockNumber());
+    const generation = checkpointGeneration;
+    chainHead = currentBlock;
 
     if (currentBlock > latestBlock) {
       logger.info(`Processing new blocks`, { from: latestBlock + 1, to: currentBlock });
 
-      for (let start = latestBlock + 1; start <= currentBlock; start += MAX_BLOCKS_PER_BATCH) {
-        const end = Math.min(start + MAX_BLOCKS_PER_BATCH - 1, currentBlock);
+      // Each batch starts after the last persisted block, so batch size changes apply mid-scan
+      for (let start = latestBlock + 1; start <= currentBlock; start = latestBlock + 1) {
+        // Pausing takes effect between batches
+        if (paused) break;
+
+        const end = Math.min(start + batchSize - 1, currentBlock);
         let successfulBlocks = 0;
+        let processedTransactions = 0;
+        // Last block of the unbroken run from start that was processed or handed to the dead-letter queue
+        let handledThrough = start - 1;
+
+        // In log mode, one eth_getLogs call covers the whole batch
+        const logBlocks = INGESTION_MODE === 'logs'
+          ? await withRetry(() => getPyusdLogTransactions(provider, start, end))
+          : null;
 
         for (let blockNumber = start; blockNumber <= end; blockNumber++) {
+          let header = null;
+          let handled = false;
           try {
-            const result = await processBlockSafely(provider, blockNumber, io);
+            header = await withRetry(() => provider.getBlock(blockNumber));
+            if (!header) {
+              throw new Error(`No block returned for block number ${blockNumber}`);
+            }
+
+            const ancestor = await findReorgAncestor(provider, header);
+            if (ancestor !== null) {
+              // The next tick re-processes the canonical blocks from the ancestor
+              await rollbackToBlock(ancestor, io);
+              return;
+            }
+
+            const result = await processBlockSafely(provider, blockNumber, io, {
+              header,
+              ...(logBlocks ? (logBlocks.get(blockNumber) || { transactions: [] }) : {})
+            });
             if (result.success) {
+              rememberBlock(blockNumber, header.hash);
               successfulBlocks++;
+              processedTransactions += result.totalTxs;
+              handled = true;
               if (result.failedTxs > 0) {
                 logger.warn(`Block processed with partial transaction failures`, {
                   blockNumber,
@@ -297,44 +661,260 @@ async function monitorBlocks(provider, io) {
                   totalTxs: result.totalTxs
                 });
               }
+            } else {
+              recordError(result.error, blockNumber);
+              handled = result.deadLettered;
             }
           } catch (blockError) {
             logger.error(`Failed to process block`, {
               blockNumber,
               error: blockError.message
             });
+            recordError(blockError.message, blockNumber);
+            handled = await recordProcessingFailure('block', { blockNumber }, blockError);
+          }
+
+          // A failed block the dead-letter queue holds is retried from there, not by re-scanning the batch
+          if (handled && handledThrough === blockNumber - 1) {
+            handledThrough = blockNumber;
+            if (header && !recentBlocks.has(blockNumber)) {
+              rememberBlock(blockNumber, header.hash);
+            }
           }
         }
 
+        if (generation !== checkpointGeneration) {
+          logger.info('Checkpoint was reset during batch, discarding batch result', { from: start, to: end });
+          break;
+        }
+
         if (successfulBlocks < (end - start + 1)) {
-          logger.warn(`Some blocks failed to process`, {
+          logger.warn(`Some blocks failed to process, failed blocks are left to the dead-letter retrier`, {
             total: (end - start + 1),
-            successful: successfulBlocks
+            successful: successfulBlocks,
+            handledThrough
           });
         }
 
-        // ✅ This now updates properly after the batch is done
-        latestBlock = end;
+        if (handledThrough < start) {
+          logger.warn(`First block of the batch could not be processed or dead-lettered, batch will be retried`, { blockNumber: start });
+          break;
+        }
+
+        // Advance and persist up to the last contiguous handled block; the rest of the batch is re-scanned
+        latestBlock = handledThrough;
+        recordThroughput(handledThrough - start + 1, processedTransactions);
+        try {
+          await saveScanCheckpoint(handledThrough, serializeRecentBlocks());
+          checkpointBlock = handledThrough;
+        } catch (err) {
+          logger.error('Failed to save scan checkpoint', { blockNumber: handledThrough, error: err.message });
+        }
+
+        if (handledThrough < end) break;
       }
     }
+
+    await finalizeAlerts(provider, io, currentBlock);
   } catch (error) {
     logger.error(`Error during block monitoring`, { error: error.message });
+    recordError(error.message);
+  }
+}
+
+function schedulePoll(provider, io) {
+  clearTimeout(pollTimer);
+  pollTimer = setTimeout(() => {
+    pollTimer = null;
+    monitorBlocks(provider, io);
+  }, POLL_INTERVAL_MS);
+}
+
+// Run one scan. Triggers that arrive mid-scan (new heads) collapse into a single follow-up scan.
+async function monitorBlocks(provider, io) {
+  if (paused) return;
+
+  if (scanning) {
+    rescanRequested = true;
+    return;
+  }
+
+  scanning = true;
+  try {
+    await scanNewBlocks(provider, io);
   } finally {
-    setTimeout(() => monitorBlocks(provider, io), POLL_INTERVAL_MS);
+    scanning = false;
+    if (rescanRequested) {
+      rescanRequested = false;
+      setImmediate(() => monitorBlocks(provider, io));
+    } else if (!subscriptionLive && !paused) {
+      schedulePoll(provider, io);
+    }
+  }
+}
+
+// Drive scans from newHeads. Polling stays on until the first head arrives and
+// resumes whenever the subscription drops; the next scan fills any gap.
+function startHeadSubscription(provider, io) {
+  const reconnect = () => setTimeout(() => startHeadSubscription(provider, io), WS_RECONNECT_DELAY_MS);
+
+  try {
+    subscribeNewHeads(WS_RPC_URL, {
+      onBlock: (blockNumber) => {
+        chainHead = Math.max(chainHead ?? 0, blockNumber);
+        if (!subscriptionLive) {
+          subscriptionLive = true;
+          clearTimeout(pollTimer);
+          pollTimer = null;
+          logger.info('newHeads subscription live, polling paused');
+        }
+        monitorBlocks(provider, io);
+      },
+      onDrop: () => {
+        subscriptionLive = false;
+        logger.warn(`Falling back to polling, retrying subscription in ${WS_RECONNECT_DELAY_MS}ms`);
+        if (!scanning && !pollTimer && !paused) {
+          schedulePoll(provider, io);
+        }
+        reconnect();
+      }
+    }, WS_STALE_TIMEOUT_MS);
+  } catch (error) {
+    logger.error('Failed to open newHeads subscription', { error: error.message });
+    reconnect();
   }
 }
 
 
 
+// Resume from the persisted checkpoint when one exists
+async function loadCheckpoint() {
+  try {
+    const checkpoint = await getScanCheckpoint();
+    if (checkpoint) {
+      latestBlock = checkpoint.blockNumber;
+      checkpointBlock = checkpoint.blockNumber;
+      for (const { number, hash } of checkpoint.recentBlocks || []) {
+        recentBlocks.set(number, hash);
+      }
+      logger.info(`Resuming from checkpoint`, { blockNumber: checkpoint.blockNumber, savedAt: checkpoint.updatedAt });
+    } else {
+      logger.info(`No checkpoint found, starting from configured block`, { blockNumber: STARTING_BLOCK });
+    }
+  } catch (error) {
+    logger.error(`Failed to load checkpoint, starting from configured block`, { error: error.message });
+  }
+}
+
 // // Start monitoring blocks
-export function startMonitoring(provider, io) {
+export async function startMonitoring(provider, io) {
+  await loadCheckpoint();
+  started = true;
+
+  if (BLOCK_SOURCE === 'subscribe') {
+    if (WS_RPC_URL) {
+      startHeadSubscription(provider, io);
+    } else {
+      logger.warn('BLOCK_SOURCE=subscribe requires WS_RPC_URL, falling back to polling');
+    }
+  }
+
+  monitorBlocks(provider, io);
+}
+
+// Move the checkpoint to a given block, or clear it when no block is given
+export async function resetCheckpoint(blockNumber) {
+  checkpointGeneration++;
+  recentBlocks.clear();
+
+  if (blockNumber === undefined || blockNumber === null) {
+    await deleteScanCheckpoint();
+    latestBlock = STARTING_BLOCK;
+    checkpointBlock = null;
+  } else {
+    await saveScanCheckpoint(blockNumber);
+    latestBlock = blockNumber;
+    checkpointBlock = blockNumber;
+  }
+
+  logger.info('Scan checkpoint reset', { blockNumber: checkpointBlock });
+  return { blockNumber: checkpointBlock };
+}
+
+// Stop scanning after the current batch; head subscriptions keep the chain head current
+export function pauseMonitoring() {
+  if (paused) return false;
+
+  paused = true;
+  clearTimeout(pollTimer);
+  pollTimer = null;
+  logger.info('Block monitoring paused', { currentBlock: latestBlock });
+  return true;
+}
+
+export function resumeMonitoring(provider, io) {
+  if (!paused) return false;
+
+  paused = false;
+  logger.info('Block monitoring resumed', { currentBlock: latestBlock });
+  monitorBlocks(provider, io);
+  return true;
+}
+
+/**
+ * Changes scan settings without restarting. A new trace concurrency applies to
+ * blocks started afterwards; traces already queued finish on the old limiter.
+ * @param {Object} settings - { batchSize, traceConcurrency }
+ */
+export function updateMonitorSettings({ batchSize: newBatchSize, traceConcurrency: newConcurrency } = {}) {
+  if (newBatchSize !== undefined) {
+    batchSize = newBatchSize;
+  }
+  if (newConcurrency !== undefined && newConcurrency !== traceConcurrency) {
+    traceConcurrency = newConcurrency;
+    limit = pLimit(traceConcurrency);
+  }
+
+  logger.info('Monitor settings updated', { batchSize, traceConcurrency });
+  return { batchSize, traceConcurrency };
+}
+
+// Continue scanning from the given block (it is the next block processed). Jumping to
+// block 1 stores checkpoint 0, which the scanner keeps as a position like any other.
+export async function jumpToBlock(provider, io, blockNumber) {
+  await resetCheckpoint(blockNumber - 1);
   monitorBlocks(provider, io);
+  return { nextBlock: blockNumber };
 }
 
 // Get current monitoring status
 export function getMonitoringStatus() {
+  const windowStart = Date.now() - THROUGHPUT_WINDOW_MS;
+  const samples = throughputSamples.filter(sample => sample.at >= windowStart);
+  const minutes = THROUGHPUT_WINDOW_MS / 60000;
+  const blocks = samples.reduce((sum, sample) => sum + sample.blocks, 0);
+  const transactions = samples.reduce((sum, sample) => sum + sample.transactions, 0);
+
+  let status = 'stopped';
+  if (started) {
+    status = paused ? 'paused' : 'running';
+  }
+
   return {
     currentBlock: latestBlock,
-    status: 'running'
+    checkpointBlock,
+    chainHead,
+    lag: chainHead !== null && latestBlock !== null ? Math.max(chainHead - latestBlock, 0) : null,
+    throughput: {
+      windowMinutes: minutes,
+      blocksPerMinute: Number((blocks / minutes).toFixed(2)),
+      transactionsPerMinute: Number((transactions / minutes).toFixed(2))
+    },
+    lastError,
+    settings: { batchSize, traceConcurrency },
+    ingestionMode: INGESTION_MODE,
+    blockSource: subscriptionLive ? 'subscription' : 'polling',
+    scanning,
+    status
   };
-}
\ No newline at end of file
+}
@@ -8,20 +8,22 @@ export async function generateDailyReport() {
 
   const alerts = await getAlerts({ from: startOfDay, to: endOfDay });
 
-  const highSeverity = alerts.filter(alert => alert.riskReport?.severity === 'high');
-  const medium = alerts.filter(alert => alert.riskReport?.severity === 'medium');
-  const low = alerts.filter(alert => alert.riskReport?.severity === 'low');
+  const critical = alerts.filter(alert => alert.severity === 'critical');
+  const highSeverity = alerts.filter(alert => alert.severity === 'high');
+  const medium = alerts.filter(alert => alert.severity === 'medium');
+  const low = alerts.filter(alert => alert.severity === 'low');
 
   const report = `
     🛡️ PYUSD Guardian Daily Report
 
     Total Alerts: ${alerts.length}
+    Critical: ${critical.length}
     High Severity: ${highSeverity.length}
     Medium: ${medium.length}
     Low: ${low.length}
 
     Recent High-Risk Transactions:
-    ${highSeverity.map(a => `- ${a.txHash} (${a.rule})`).join('\n')}
+    ${[...critical, ...highSeverity].map(a => `- ${a.txHash} (${a.rule})`).join('\n')}
   `;
 
   await sendEmail({
@@ -1,4 +1,5 @@
 // API Routes
+import express from 'express';
 import {
   getAlerts,
   getAlertByTxHash,
@@ -12,14 +13,78 @@ import {
   getTotalTransactionCount,
   getTotalAlertCount,
   getMonitoringStartTime,
-  getFlaggedTransactions
+  getScanCheckpoint,
+  getStoredTraceStats,
+  listComplianceRules,
+  getComplianceRule,
+  createComplianceRule,
+  updateComplianceRule,
+  deleteComplianceRule,
+  listWatchlists,
+  getWatchlist,
+  createWatchlist,
+  updateWatchlist,
+  deleteWatchlist,
+  listWatchlistEntries,
+  addWatchlistEntries,
+  removeWatchlistEntry,
+  findWatchlistMatches,
+  listRiskProfiles
 } from '../database/database.js';
-import { logger } from '../server.js';
+import { validateRule } from '../engines/ruleEngine.js';
+import { reloadRules } from '../engines/complianceEngine.js';
+import { getTraceCacheStats } from '../engines/traceCache.js';
+import { getAddressVelocity } from '../engines/velocity.js';
+import { getAddressRisk } from '../engines/riskScore.js';
+import { logger } from '../utils/logger.js';
 import { notifyClients } from '../utils/utils.js';
 import { pushToSheet } from '../utils/sheetsExporter.js';
 import { sendDiscordAlert } from '../utils/discordNotifier.js';
 import { sendEmailAlert } from '../utils/emailNotifier.js';
-import { getMonitoringStatus } from '../monitor.js';
+import {
+  getMonitoringStatus,
+  resetCheckpoint,
+  pauseMonitoring,
+  resumeMonitoring,
+  updateMonitorSettings,
+  jumpToBlock
+} from '../monitor.js';
+import {
+  startBackfill,
+  resumeBackfill,
+  cancelBackfill,
+  getBackfillStatus,
+  listBackfills
+} from '../backfill.js';
+import { prepareBacktestRule, startBacktest, cancelBacktest, getBacktest, listBacktests } from '../backtest.js';
+import { retryDeadLetter, discardDeadLetter, listDeadLetterEntries } from '../deadLetter.js';
+import { importOfacSdn } from '../watchlists.js';
+import { traceFundFlow } from '../fundFlow.js';
+import { FLOW_MAX_HOPS } from '../config/config.js';
+
+const ADDRESS_REGEX = /^0x[0-9a-fA-F]{40}$/;
+const WATCHLIST_CATEGORIES = ['sanctions', 'internal', 'law_enforcement', 'other'];
+
+// Validate a watchlist entry from a request body, returning the entry or an error message
+function parseWatchlistEntry(body) {
+  const { address, source, reason, reference, listedAt } = body || {};
+  if (typeof address !== 'string' || !ADDRESS_REGEX.test(address)) {
+    return { error: `Invalid address: ${address}` };
+  }
+  const date = listedAt !== undefined ? new Date(listedAt) : undefined;
+  if (date && Number.isNaN(date.getTime())) {
+    return { error: `Invalid listedAt date for ${address}` };
+  }
+  return {
+    entry: {
+      address: address.toLowerCase(),
+      source: source || 'manual',
+      reason,
+      reference,
+      listedAt: date
+    }
+  };
+}
 
 /**
  * Process and distribute an alert to subscribed users based on their preferences
@@ -28,8 +93,8 @@ import { getMonitoringStatus } from '../monitor.js';
  */
 export async function processAlertNotifications(alert) {
   try {
-    // Determine alert severity from risk report
-    const severity = alert.riskReport?.severity || 'medium';
+    // The alert's scored severity; the trace risk report carries none of its own
+    const severity = alert.severity || 'medium';
 
     // Get users who should be notified based on severity level
     const users = await getUsersForNotification(severity);
@@ -217,13 +282,688 @@ export function setupRoutes(app, provider) {
     });
   });
 
+  // Pause the block scanner after its current batch
+  app.post('/api/monitor/pause', (req, res) => {
+    const changed = pauseMonitoring();
+    res.json({ success: true, changed, status: getMonitoringStatus() });
+  });
+
+  // Resume a paused block scanner
+  app.post('/api/monitor/resume', (req, res) => {
+    const changed = resumeMonitoring(provider, req.app.get('io'));
+    res.json({ success: true, changed, status: getMonitoringStatus() });
+  });
+
+  // Change batch size and trace concurrency without restarting
+  app.post('/api/monitor/settings', (req, res) => {
+    const settings = {};
+    for (const key of ['batchSize', 'traceConcurrency']) {
+      if (req.body?.[key] === undefined) continue;
+
+      const value = parseInt(req.body[key]);
+      if (Number.isNaN(value) || value < 1) {
+        return res.status(400).json({ error: `${key} must be a positive integer` });
+      }
+      settings[key] = value;
+    }
+
+    if (Object.keys(settings).length === 0) {
+      return res.status(400).json({ error: 'Provide batchSize and/or traceConcurrency' });
+    }
+
+    res.json(updateMonitorSettings(settings));
+  });
+
+  // Continue scanning from a given block
+  app.post('/api/monitor/jump', async (req, res) => {
+    try {
+      const blockNumber = parseInt(req.body?.blockNumber);
+      if (Number.isNaN(blockNumber) || blockNumber < 1) {
+        return res.status(400).json({ error: 'blockNumber must be a positive integer' });
+      }
+
+      const head = await provider.getBlockNumber();
+      if (blockNumber > head + 1) {
+        return res.status(400).json({ error: `blockNumber is beyond the chain head (${head})` });
+      }
+
+      const result = await jumpToBlock(provider, req.app.get('io'), blockNumber);
+      logger.info('Monitor jumped to block', { blockNumber });
+      res.json({ success: true, ...result });
+    } catch (error) {
+      logger.error('Error jumping to block', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get the persisted block scan checkpoint
+  app.get('/api/checkpoint', async (req, res) => {
+    try {
+      const checkpoint = await getScanCheckpoint();
+      res.json({
+        checkpoint,
+        currentBlock: getMonitoringStatus().currentBlock
+      });
+    } catch (error) {
+      logger.error('Error fetching checkpoint', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Reset the checkpoint to a given block, or clear it to fall back to STARTING_BLOCK
+  app.post('/api/checkpoint/reset', async (req, res) => {
+    try {
+      const { blockNumber } = req.body || {};
+      let target = null;
+
+      if (blockNumber !== undefined && blockNumber !== null) {
+        target = parseInt(blockNumber);
+        if (Number.isNaN(target) || target < 0) {
+          return res.status(400).json({ error: 'blockNumber must be a non-negative integer' });
+        }
+      }
+
+      const result = await resetCheckpoint(target);
+      res.json({ success: true, ...result });
+    } catch (error) {
+      logger.error('Error resetting checkpoint', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Start a historical backfill over a block range
+  app.post('/api/backfill', async (req, res) => {
+    try {
+      const fromBlock = parseInt(req.body?.fromBlock);
+      const toBlock = parseInt(req.body?.toBlock);
+
+      if (Number.isNaN(fromBlock) || Number.isNaN(toBlock) || fromBlock < 0 || toBlock < fromBlock) {
+        return res.status(400).json({ error: 'fromBlock and toBlock must be integers with 0 <= fromBlock <= toBlock' });
+      }
+
+      const head = await provider.getBlockNumber();
+      if (toBlock > head) {
+        return res.status(400).json({ error: `toBlock is beyond the chain head (${head})` });
+      }
+
+      const job = await startBackfill(provider, req.app.get('io'), { fromBlock, toBlock });
+      logger.info('Backfill job created', { jobId: String(job._id), fromBlock, toBlock });
+      res.status(202).json(job);
+    } catch (error) {
+      logger.error('Error starting backfill', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // List recent backfill jobs
+  app.get('/api/backfill', async (req, res) => {
+    try {
+      res.json(await listBackfills());
+    } catch (error) {
+      logger.error('Error listing backfill jobs', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get progress of a backfill job
+  app.get('/api/backfill/:jobId', async (req, res) => {
+    try {
+      const status = await getBackfillStatus(req.params.jobId);
+      if (!status) {
+        return res.status(404).json({ error: 'Backfill job not found' });
+      }
+      res.json(status);
+    } catch (error) {
+      logger.error('Error fetching backfill job', { error: error.message, jobId: req.params.jobId });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Cancel a running backfill job
+  app.post('/api/backfill/:jobId/cancel', async (req, res) => {
+    try {
+      const job = await cancelBackfill(req.params.jobId);
+      if (!job) {
+        return res.status(404).json({ error: 'Backfill job not found' });
+      }
+      res.json({ success: true, message: 'Cancellation requested' });
+    } catch (error) {
+      res.status(409).json({ error: error.message });
+    }
+  });
+
+  // Resume a cancelled, failed or interrupted backfill job from where it stopped
+  app.post('/api/backfill/:jobId/resume', async (req, res) => {
+    try {
+      const job = await resumeBackfill(provider, req.app.get('io'), req.params.jobId);
+      if (!job) {
+        return res.status(404).json({ error: 'Backfill job not found' });
+      }
+      res.status(202).json({ success: true, nextBlock: job.nextBlock });
+    } catch (error) {
+      res.status(409).json({ error: error.message });
+    }
+  });
+
+  // List transactions and blocks that failed processing, with a count per status
+  app.get('/api/dead-letters', async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const filter = {};
+
+      if (['pending', 'resolved', 'exhausted', 'discarded'].includes(req.query.status)) {
+        filter.status = req.query.status;
+      }
+      if (['transaction', 'block'].includes(req.query.kind)) {
+        filter.kind = req.query.kind;
+      }
+
+      res.json(await listDeadLetterEntries(page, limit, filter));
+    } catch (error) {
+      logger.error('Error listing dead-letter entries', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Retry a dead-letter entry now
+  app.post('/api/dead-letters/:id/retry', async (req, res) => {
+    try {
+      const entry = await retryDeadLetter(provider, req.app.get('io'), req.params.id);
+      if (!entry) {
+        return res.status(404).json({ error: 'Dead-letter entry not found' });
+      }
+      res.json(entry);
+    } catch (error) {
+      res.status(409).json({ error: error.message });
+    }
+  });
+
+  // Stop retrying a dead-letter entry
+  app.post('/api/dead-letters/:id/discard', async (req, res) => {
+    try {
+      const entry = await discardDeadLetter(req.params.id);
+      if (!entry) {
+        return res.status(404).json({ error: 'Dead-letter entry not found' });
+      }
+      res.json(entry);
+    } catch (error) {
+      res.status(409).json({ error: error.message });
+    }
+  });
+
+  // List compliance rules (enabled and disabled)
+  app.get('/api/rules', async (req, res) => {
+    try {
+      res.json(await listComplianceRules());
+    } catch (error) {
+      logger.error('Error listing compliance rules', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.get('/api/rules/:ruleId', async (req, res) => {
+    try {
+      const rule = await getComplianceRule(req.params.ruleId);
+      if (!rule) {
+        return res.status(404).json({ error: 'Rule not found' });
+      }
+      res.json(rule);
+    } catch (error) {
+      logger.error('Error fetching compliance rule', { error: error.message, ruleId: req.params.ruleId });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Create a rule; it applies to the next evaluated transaction
+  app.post('/api/rules', async (req, res) => {
+    try {
+      const { ruleId, description, enabled, severity, weight, conditions, details } = req.body || {};
+      const rule = { ruleId, description, enabled, severity, weight, conditions, details };
+
+      const errors = validateRule(rule);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid rule', errors });
+      }
+      if (await getComplianceRule(ruleId)) {
+        return res.status(409).json({ error: `Rule ${ruleId} already exists` });
+      }
+
+      const created = await createComplianceRule(rule);
+      await reloadRules();
+      logger.info('Compliance rule created', { ruleId });
+      res.status(201).json(created);
+    } catch (error) {
+      logger.error('Error creating compliance rule', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Update some or all fields of a rule (enable/disable, thresholds, severity, weight...)
+  app.put('/api/rules/:ruleId', async (req, res) => {
+    try {
+      const existing = await getComplianceRule(req.params.ruleId);
+      if (!existing) {
+        return res.status(404).json({ error: 'Rule not found' });
+      }
+
+      const update = {};
+      for (const key of ['description', 'enabled', 'severity', 'weight', 'conditions', 'details']) {
+        if (req.body?.[key] !== undefined) update[key] = req.body[key];
+      }
+
+      const errors = validateRule({ ...existing, ...update });
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid rule', errors });
+      }
+
+      const updated = await updateComplianceRule(req.params.ruleId, update);
+      await reloadRules();
+      logger.info('Compliance rule updated', { ruleId: req.params.ruleId, version: updated.version });
+      res.json(updated);
+    } catch (error) {
+      logger.error('Error updating compliance rule', { error: error.message, ruleId: req.params.ruleId });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Delete a custom rule; built-in rules can only be disabled
+  app.delete('/api/rules/:ruleId', async (req, res) => {
+    try {
+      const existing = await getComplianceRule(req.params.ruleId);
+      if (!existing) {
+        return res.status(404).json({ error: 'Rule not found' });
+      }
+      if (existing.builtIn) {
+        return res.status(409).json({ error: 'Built-in rules cannot be deleted, disable them instead' });
+      }
+
+      await deleteComplianceRule(req.params.ruleId);
+      await reloadRules();
+      logger.info('Compliance rule deleted', { ruleId: req.params.ruleId });
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Error deleting compliance rule', { error: error.message, ruleId: req.params.ruleId });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Replay a new rule, or a change to an existing one, over stored transactions in a block or date range
+  app.post('/api/backtests', async (req, res) => {
+    try {
+      const { rule, ruleId, thresholds, severity, weight, conditions, details, fetchTraces = false } = req.body || {};
+      const since = req.body?.since ? new Date(req.body.since) : undefined;
+      const until = req.body?.until ? new Date(req.body.until) : undefined;
+      const fromBlock = req.body?.fromBlock !== undefined ? parseInt(req.body.fromBlock) : undefined;
+      const toBlock = req.body?.toBlock !== undefined ? parseInt(req.body.toBlock) : undefined;
+
+      if (!rule && !ruleId) {
+        return res.status(400).json({ error: 'Provide either a rule definition or the ruleId of an existing rule' });
+      }
+      if (fromBlock === undefined && toBlock === undefined && !since && !until) {
+        return res.status(400).json({ error: 'Provide a block range (fromBlock, toBlock) or a date range (since, until)' });
+      }
+      if ([fromBlock, toBlock].some(block => block !== undefined && (Number.isNaN(block) || block < 0))
+        || (fromBlock !== undefined && toBlock !== undefined && toBlock < fromBlock)) {
+        return res.status(400).json({ error: 'fromBlock and toBlock must be block numbers with fromBlock <= toBlock' });
+      }
+      if ([since, until].some(date => date && Number.isNaN(date.getTime()))) {
+        return res.status(400).json({ error: 'since and until must be dates' });
+      }
+      if (typeof fetchTraces !== 'boolean') {
+        return res.status(400).json({ error: 'fetchTraces must be a boolean' });
+      }
+
+      const prepared = await prepareBacktestRule(rule ? { rule } : { ruleId, thresholds, severity, weight, conditions, details });
+      if (!prepared) {
+        return res.status(404).json({ error: 'Rule not found' });
+      }
+      if (prepared.errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid rule', errors: prepared.errors });
+      }
+
+      const job = await startBacktest(req.app.get('io'), {
+        rule: prepared.rule,
+        baseRule: prepared.baseRule,
+        fromBlock,
+        toBlock,
+        since,
+        until,
+        fetchTraces
+      });
+      logger.info('Backtest created', { jobId: String(job._id), ruleId: prepared.rule.ruleId });
+      res.status(202).json(job);
+    } catch (error) {
+      logger.error('Error starting backtest', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // List recent backtests (without their reports)
+  app.get('/api/backtests', async (req, res) => {
+    try {
+      res.json(await listBacktests());
+    } catch (error) {
+      logger.error('Error listing backtests', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get progress and, once finished, the report of a backtest
+  app.get('/api/backtests/:jobId', async (req, res) => {
+    try {
+      const job = await getBacktest(req.params.jobId);
+      if (!job) {
+        return res.status(404).json({ error: 'Backtest not found' });
+      }
+      res.json(job);
+    } catch (error) {
+      logger.error('Error fetching backtest', { error: error.message, jobId: req.params.jobId });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Stop a running backtest, keeping the report of what was replayed
+  app.post('/api/backtests/:jobId/cancel', async (req, res) => {
+    try {
+      const job = await cancelBacktest(req.params.jobId);
+      if (!job) {
+        return res.status(404).json({ error: 'Backtest not found' });
+      }
+      res.json({ success: true, message: 'Cancellation requested' });
+    } catch (error) {
+      res.status(409).json({ error: error.message });
+    }
+  });
+
+  // Rolling transfer counters of an address (tx count, PYUSD in/out, counterparties per window)
+  app.get('/api/addresses/:address/velocity', async (req, res) => {
+    try {
+      if (!ADDRESS_REGEX.test(req.params.address)) {
+        return res.status(400).json({ error: 'Invalid address' });
+      }
+      const address = req.params.address.toLowerCase();
+      res.json({ address, velocity: await getAddressVelocity(address) });
+    } catch (error) {
+      logger.error('Error fetching address velocity', { error: error.message, address: req.params.address });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Follow PYUSD transfers from an address or tx hash, forward and/or backward, up to maxHops
+  app.get('/api/flows', async (req, res) => {
+    try {
+      const { address, txHash, direction = 'forward', chain } = req.query;
+      const maxHops = req.query.maxHops !== undefined ? parseInt(req.query.maxHops) : 3;
+      const minAmount = req.query.minAmount !== undefined ? parseFloat(req.query.minAmount) : 0;
+      const since = req.query.since ? new Date(req.query.since) : undefined;
+      const until = req.query.until ? new Date(req.query.until) : undefined;
+      const fromBlock = req.query.fromBlock !== undefined ? parseInt(req.query.fromBlock) : undefined;
+      const toBlock = req.query.toBlock !== undefined ? parseInt(req.query.toBlock) : undefined;
+
+      if (!address === !txHash) {
+        return res.status(400).json({ error: 'Provide either address or txHash' });
+      }
+      if (address && !ADDRESS_REGEX.test(address)) {
+        return res.status(400).json({ error: 'Invalid address' });
+      }
+      if (txHash && !/^0x[0-9a-fA-F]{64}$/.test(txHash)) {
+        return res.status(400).json({ error: 'Invalid txHash' });
+      }
+      if (!['forward', 'backward', 'both'].includes(direction)) {
+        return res.status(400).json({ error: 'direction must be forward, backward or both' });
+      }
+      if (!Number.isInteger(maxHops) || maxHops < 1 || maxHops > FLOW_MAX_HOPS) {
+        return res.status(400).json({ error: `maxHops must be between 1 and ${FLOW_MAX_HOPS}` });
+      }
+      if (!Number.isFinite(minAmount) || minAmount < 0) {
+        return res.status(400).json({ error: 'minAmount must be a non-negative number of PYUSD' });
+      }
+      if ([since, until].some(date => date && Number.isNaN(date.getTime()))) {
+        return res.status(400).json({ error: 'since and until must be dates' });
+      }
+      if ([fromBlock, toBlock].some(block => block !== undefined && (!Number.isInteger(block) || block < 0))) {
+        return res.status(400).json({ error: 'fromBlock and toBlock must be block numbers' });
+      }
+
+      const flow = await traceFundFlow(provider, {
+        address: address?.toLowerCase(),
+        txHash,
+        direction,
+        maxHops,
+        minAmount,
+        since,
+        until,
+        fromBlock,
+        toBlock,
+        chain: chain !== 'false'
+      });
+      if (!flow) {
+        return res.status(404).json({ error: 'Transaction not found' });
+      }
+      res.json(flow);
+    } catch (error) {
+      logger.error('Error tracing fund flow', { error: error.message });
+      res.status(error.message.startsWith('Block range') ? 400 : 500).json({ error: error.message });
+    }
+  });
+
+  // Risk profile and current score of an address (counts decay and the account-age part changes over time)
+  app.get('/api/addresses/:address/risk', async (req, res) => {
+    try {
+      if (!ADDRESS_REGEX.test(req.params.address)) {
+        return res.status(400).json({ error: 'Invalid address' });
+      }
+      const address = req.params.address.toLowerCase();
+      const risk = await getAddressRisk(address);
+      if (!risk) {
+        return res.status(404).json({ error: 'Address not seen yet' });
+      }
+      res.json(risk);
+    } catch (error) {
+      logger.error('Error fetching address risk', { error: error.message, address: req.params.address });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Riskiest addresses by their score as of their last transaction
+  app.get('/api/risk/addresses', async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const minScore = parseInt(req.query.minScore) || 0;
+
+      res.json(await listRiskProfiles(page, limit, minScore));
+    } catch (error) {
+      logger.error('Error listing address risk profiles', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // List watchlists with their entry counts
+  app.get('/api/watchlists', async (req, res) => {
+    try {
+      res.json(await listWatchlists());
+    } catch (error) {
+      logger.error('Error listing watchlists', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Which active watchlists an address is on
+  app.get('/api/watchlists/check/:address', async (req, res) => {
+    try {
+      if (!ADDRESS_REGEX.test(req.params.address)) {
+        return res.status(400).json({ error: 'Invalid address' });
+      }
+      const matches = await findWatchlistMatches([req.params.address]);
+      res.json({ address: req.params.address.toLowerCase(), listed: matches.length > 0, matches });
+    } catch (error) {
+      logger.error('Error checking watchlists', { error: error.message, address: req.params.address });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.post('/api/watchlists', async (req, res) => {
+    try {
+      const { listId, name, category = 'other', description, active = true } = req.body || {};
+
+      if (typeof listId !== 'string' || !/^[a-z0-9][a-z0-9-]{1,63}$/.test(listId)) {
+        return res.status(400).json({ error: 'listId must be lowercase letters, digits and dashes (2-64 characters)' });
+      }
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'name is required' });
+      }
+      if (!WATCHLIST_CATEGORIES.includes(category)) {
+        return res.status(400).json({ error: `category must be one of: ${WATCHLIST_CATEGORIES.join(', ')}` });
+      }
+      if (await getWatchlist(listId)) {
+        return res.status(409).json({ error: `Watchlist ${listId} already exists` });
+      }
+
+      const created = await createWatchlist({ listId, name, category, description, active: active !== false });
+      logger.info('Watchlist created', { listId });
+      res.status(201).json(created);
+    } catch (error) {
+      logger.error('Error creating watchlist', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Rename, describe or (de)activate a watchlist
+  app.put('/api/watchlists/:listId', async (req, res) => {
+    try {
+      const update = {};
+      for (const key of ['name', 'category', 'description', 'active']) {
+        if (req.body?.[key] !== undefined) update[key] = req.body[key];
+      }
+      if (update.category !== undefined && !WATCHLIST_CATEGORIES.includes(update.category)) {
+        return res.status(400).json({ error: `category must be one of: ${WATCHLIST_CATEGORIES.join(', ')}` });
+      }
+      if (update.active !== undefined && typeof update.active !== 'boolean') {
+        return res.status(400).json({ error: 'active must be a boolean' });
+      }
+
+      const updated = await updateWatchlist(req.params.listId, update);
+      if (!updated) {
+        return res.status(404).json({ error: 'Watchlist not found' });
+      }
+      logger.info('Watchlist updated', { listId: req.params.listId, fields: Object.keys(update) });
+      res.json(updated);
+    } catch (error) {
+      logger.error('Error updating watchlist', { error: error.message, listId: req.params.listId });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Delete a custom watchlist and its entries; built-in lists can only be deactivated
+  app.delete('/api/watchlists/:listId', async (req, res) => {
+    try {
+      const existing = await getWatchlist(req.params.listId);
+      if (!existing) {
+        return res.status(404).json({ error: 'Watchlist not found' });
+      }
+      if (existing.builtIn) {
+        return res.status(409).json({ error: 'Built-in watchlists cannot be deleted, deactivate them instead' });
+      }
+
+      await deleteWatchlist(req.params.listId);
+      logger.info('Watchlist deleted', { listId: req.params.listId });
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Error deleting watchlist', { error: error.message, listId: req.params.listId });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.get('/api/watchlists/:listId/entries', async (req, res) => {
+    try {
+      if (!await getWatchlist(req.params.listId)) {
+        return res.status(404).json({ error: 'Watchlist not found' });
+      }
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+      const { address, source } = req.query;
+
+      res.json(await listWatchlistEntries(req.params.listId, page, limit, { address, source }));
+    } catch (error) {
+      logger.error('Error listing watchlist entries', { error: error.message, listId: req.params.listId });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Add one entry ({ address, source, reason, reference, listedAt }) or several ({ entries: [...] })
+  app.post('/api/watchlists/:listId/entries', async (req, res) => {
+    try {
+      if (!await getWatchlist(req.params.listId)) {
+        return res.status(404).json({ error: 'Watchlist not found' });
+      }
+
+      const bodies = Array.isArray(req.body?.entries) ? req.body.entries : [req.body];
+      const entries = [];
+      for (const body of bodies) {
+        const { entry, error } = parseWatchlistEntry(body);
+        if (error) {
+          return res.status(400).json({ error });
+        }
+        entries.push(entry);
+      }
+
+      const result = await addWatchlistEntries(req.params.listId, entries);
+      logger.info('Watchlist entries added', { listId: req.params.listId, ...result });
+      res.status(201).json(result);
+    } catch (error) {
+      logger.error('Error adding watchlist entries', { error: error.message, listId: req.params.listId });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.delete('/api/watchlists/:listId/entries/:address', async (req, res) => {
+    try {
+      const removed = await removeWatchlistEntry(req.params.listId, req.params.address);
+      if (!removed) {
+        return res.status(404).json({ error: 'Watchlist entry not found' });
+      }
+      logger.info('Watchlist entry removed', { listId: req.params.listId, address: req.params.address });
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Error removing watchlist entry', { error: error.message, listId: req.params.listId });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Import the Ethereum addresses of the OFAC SDN list. Send sdn.xml/sdn.csv as the raw
+  // request body, or nothing / JSON to download it from OFAC_SDN_URL.
+  // ?replace=true removes OFAC entries that are no longer on the list.
+  app.post(
+    '/api/watchlists/:listId/import/ofac',
+    express.text({ type: ['text/*', 'application/xml'], limit: '100mb' }),
+    async (req, res) => {
+      try {
+        if (!await getWatchlist(req.params.listId)) {
+          return res.status(404).json({ error: 'Watchlist not found' });
+        }
+        const content = typeof req.body === 'string' ? req.body : undefined;
+        const replace = req.query.replace === 'true' || req.body?.replace === true;
+
+        res.json(await importOfacSdn(req.params.listId, { content, replace }));
+      } catch (error) {
+        logger.error('Error importing OFAC SDN list', { error: error.message, listId: req.params.listId });
+        const status = error.message.startsWith('Failed to download') ? 502
+          : /^(Empty SDN|Unsupported XML|No Ethereum)/.test(error.message) ? 400 : 500;
+        res.status(status).json({ error: error.message });
+      }
+    }
+  );
+
 // Get all alerts with pagination and optional severity filter
 app.get('/api/alerts', async (req, res) => {
   try {
-    const { page = 1, limit = 20, severity } = req.query;
+    const { page = 1, limit = 20, severity, status } = req.query;
     
     // Prepare filter for severity, defaulting to empty if no severity is passed
-    const filter = severity && ['low', 'medium', 'high'].includes(severity) ? { severity } : {};
+    const filter = severity && ['low', 'medium', 'high', 'critical'].includes(severity) ? { severity } : {};
+    if (status) filter.status = status;
 
     // Fetch the alerts with pagination and optional severity filter
     const alerts = await getAlerts(parseInt(page), parseInt(limit), filter);
@@ -290,11 +1030,25 @@ app.get('/api/alerts', async (req, res) => {
           chainId: network.chainId
         },
         currentBlock: blockNumber,
-        connectionStatus: 'connected'
+        connectionStatus: 'connected',
+        endpoints: provider.getHealth()
       });
     } catch (error) {
       logger.error('Error fetching provider debug info', { error: error.message });
-      res.status(500).json({ error: error.message, status: 'disconnected' });
+      res.status(500).json({ error: error.message, status: 'disconnected', endpoints: provider.getHealth() });
+    }
+  });
+
+  // Trace cache hit/miss statistics and storage usage
+  app.get('/api/debug/trace-cache', async (req, res) => {
+    try {
+      res.json({
+        ...getTraceCacheStats(),
+        storage: await getStoredTraceStats()
+      });
+    } catch (error) {
+      logger.error('Error fetching trace cache stats', { error: error.message });
+      res.status(500).json({ error: error.message });
     }
   });
 
@@ -419,11 +1173,46 @@ app.get('/api/alerts', async (req, res) => {
   });
 
 app.get('/api/transactions', async (req, res) => {
-  const { page = 1, limit = 20, flagged = 'false' } = req.query;
+  const { page = 1, limit = 20, flagged = 'false', method, from, to, address, minAmount, maxAmount } = req.query;
   const parsedPage = parseInt(page);
   const parsedLimit = parseInt(limit);
   const onlyFlagged = flagged === 'true';
 
+  // Repeated parameters arrive as arrays; every filter takes a single value
+  const args = Object.entries(req.query).filter(([key]) => key.startsWith('args.'));
+  const repeated = [['method', method], ['from', from], ['to', to], ['address', address],
+    ['minAmount', minAmount], ['maxAmount', maxAmount], ...args]
+    .filter(([, value]) => value !== undefined && typeof value !== 'string')
+    .map(([key]) => key);
+  if (repeated.length > 0) {
+    return res.status(400).json({ error: `Filters must be given once: ${repeated.join(', ')}` });
+  }
+  const invalidAddresses = [['from', from], ['to', to], ['address', address]]
+    .filter(([, value]) => value !== undefined && !ADDRESS_REGEX.test(value))
+    .map(([key]) => key);
+  if (invalidAddresses.length > 0) {
+    return res.status(400).json({ error: `Invalid address: ${invalidAddresses.join(', ')}` });
+  }
+  const amounts = { minAmount, maxAmount };
+  for (const [key, value] of Object.entries(amounts)) {
+    if (value === undefined) continue;
+    amounts[key] = Number(value);
+    if (value.trim() === '' || !Number.isFinite(amounts[key])) {
+      return res.status(400).json({ error: `${key} must be a number` });
+    }
+  }
+
+  // Decoded-field filters, e.g. ?method=transferFrom&minAmount=1000&args.spender=0x...
+  const filter = {
+    flagged: onlyFlagged,
+    method,
+    from,
+    to,
+    address,
+    ...amounts,
+    args: Object.fromEntries(args.map(([key, value]) => [key.slice('args.'.length), value]))
+  };
+
   logger.info('Incoming request to /api/transactions', {
     page: parsedPage,
     limit: parsedLimit,
@@ -431,9 +1220,7 @@ app.get('/api/transactions', async (req, res) => {
   });
 
   try {
-    const transactions = onlyFlagged
-      ? await getFlaggedTransactions(parsedPage, parsedLimit)
-      : await getTransactions(parsedPage, parsedLimit);
+    const transactions = await getTransactions(parsedPage, parsedLimit, filter);
 
     logger.info('Successfully fetched transactions', {
       count: transactions.length,
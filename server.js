@@ -4,29 +4,21 @@ import express from 'express';
 import http from 'http';
 import cors from 'cors';
 import { Server } from 'socket.io';
-import winston from 'winston';
 import { setupRoutes } from './routes/routes.js';
 import { setupWebsocket } from './utils/websocket.js';
 import { initializeProvider } from './utils/utils.js';
 import { startMonitoring } from './monitor.js';
+import { recoverBackfillJobs } from './backfill.js';
+import { recoverBacktestJobs } from './backtest.js';
+import { startMempoolMonitoring } from './mempool.js';
+import { startDeadLetterRetrier } from './deadLetter.js';
+import { seedDefaultWatchlists } from './watchlists.js';
 import { PORT, FRONTEND_URL } from './config/config.js';
+import { logger } from './utils/logger.js';
 
 // Load environment variables
 config();
 
-// Setup logger
-export const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: 'pyusd-monitor.log' })
-  ],
-});
-
 // Initialize Express and WebSocket server
 const app = express();
 const server = http.createServer(app);
@@ -42,6 +34,9 @@ const io = new Server(server, {
 app.use(cors());
 app.use(express.json());
 
+// Expose the WebSocket server to route handlers
+app.set('io', io);
+
 // Initialize provider
 const provider = initializeProvider();
 
@@ -68,13 +63,8 @@ process.on('SIGTERM', () => {
 });
 
 process.on('uncaughtException', (error) => {
+  // Don't exit - RPC failures are handled by the provider pool failing over to another endpoint
   logger.error('Uncaught exception', { error: error.message, stack: error.stack });
-  // Don't exit on all uncaught exceptions - try to keep the service running
-  // Only exit if it's a critical error
-  if (error.message.includes('ECONNREFUSED') || error.message.includes('Invalid RPC response')) {
-    logger.error('Critical error detected, exiting process', { error: error.message });
-    process.exit(1);
-  }
 });
 
 // Start server and monitoring
@@ -85,10 +75,19 @@ server.listen(PORT, async () => {
   try {
     const blockNumber = await provider.getBlockNumber();
     logger.info(`Successfully connected to Ethereum node`, { blockNumber });
-    logger.info('PYUSD Transaction Monitor starting');
-    startMonitoring(provider, io);
   } catch (error) {
-    logger.error(`Failed to connect to Ethereum node. Please check your RPC_URL`, { error: error.message });
-    process.exit(1);
+    // The monitor keeps retrying through the pool until an endpoint recovers
+    logger.error(`Failed to reach any Ethereum node, monitoring will keep retrying`, {
+      error: error.message,
+      endpoints: provider.getHealth()
+    });
   }
+
+  logger.info('PYUSD Transaction Monitor starting');
+  startMonitoring(provider, io);
+  startMempoolMonitoring(provider, io);
+  recoverBackfillJobs();
+  recoverBacktestJobs();
+  startDeadLetterRetrier(provider, io);
+  seedDefaultWatchlists();
 });
\ No newline at end of file
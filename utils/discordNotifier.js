@@ -1,6 +1,7 @@
 import fetch from 'node-fetch';
 import { config } from 'dotenv';
 import { MongoClient } from 'mongodb';
+import { NOTIFY_FINAL_ONLY } from '../config/config.js';
 
 config();
 
@@ -60,16 +61,8 @@ async function getUserDiscordWebhooks() {
   }
 }
 
-// Send Discord alerts to all users
-export async function sendDiscordAlert(alertData) {
-  const payload = {
-    content: `🚨 **PYUSD Risk Alert**
-**TX:** [${alertData.txHash}](https://etherscan.io/tx/${alertData.txHash})
-**Rule:** ${alertData.rule}
-**Details:** ${alertData.details}
-`,
-  };
-
+// Post a payload to every user's Discord webhook
+async function postToWebhooks(payload, label) {
   try {
     // Get all users with Discord webhook URLs
     const users = await getUserDiscordWebhooks();
@@ -98,17 +91,48 @@ export async function sendDiscordAlert(alertData) {
           throw new Error(`Discord API error (${response.status}): ${errorText}`);
         }
         
-        console.log(`🔔 Discord alert sent to user ${user._id || 'unknown'}`);
+        console.log(`🔔 Discord ${label} sent to user ${user._id || 'unknown'}`);
       } catch (err) {
         console.error(`❌ Discord webhook failed for user ${user._id || 'unknown'}:`, err.message);
       }
     });
 
     await Promise.all(sendPromises);
-    console.log(`🔔 Discord alerts sent to ${users.length} users`);
+    console.log(`🔔 Discord ${label}s sent to ${users.length} users`);
   } catch (err) {
-    console.error('❌ Error sending Discord alerts:', err.message);
+    console.error(`❌ Error sending Discord ${label}s:`, err.message);
+  }
+}
+
+// Send Discord alerts to all users
+export async function sendDiscordAlert(alertData) {
+  if (NOTIFY_FINAL_ONLY && alertData.status && alertData.status !== 'final') {
+    console.log(`⏳ Discord alert for ${alertData.txHash} deferred until final`);
+    return;
   }
+
+  const payload = {
+    content: `🚨 **PYUSD Risk Alert**
+**TX:** [${alertData.txHash}](https://etherscan.io/tx/${alertData.txHash})
+**Rule:** ${alertData.rule}
+**Details:** ${alertData.details}
+`,
+  };
+
+  await postToWebhooks(payload, 'alert');
+}
+
+// Tell Discord users that an earlier alert was retracted (e.g. its block was reorged out)
+export async function sendDiscordRetraction(alertData, reason) {
+  const payload = {
+    content: `↩️ **PYUSD Alert Retracted**
+**TX:** [${alertData.txHash}](https://etherscan.io/tx/${alertData.txHash})
+**Block:** ${alertData.blockNumber}
+**Reason:** ${reason}
+`,
+  };
+
+  await postToWebhooks(payload, 'retraction');
 }
 
 // Function to close MongoDB connection
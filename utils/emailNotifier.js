@@ -1,7 +1,8 @@
 import nodemailer from 'nodemailer';
 import { config } from 'dotenv';
 import mongoose from 'mongoose';
-import { NotificationPreference } from './database.js'; // Adjust path as needed
+import { NotificationPreference } from '../database/database.js';
+import { NOTIFY_FINAL_ONLY } from '../config/config.js';
 
 config();
 
@@ -18,13 +19,13 @@ const transporter = nodemailer.createTransport({
   }
 });
 
-export async function sendEmailAlert(alertData) {
-  const severityLevels = ['low', 'medium', 'high'];
+// Fetch all users with an email preference and matching severity or set to 'all'
+async function getEmailRecipients(severity) {
+  const severityLevels = ['low', 'medium', 'high', 'critical'];
 
-  const alertSeverityIndex = severityLevels.indexOf(alertData.severity?.toLowerCase() || 'medium');
+  const alertSeverityIndex = severityLevels.indexOf(severity?.toLowerCase() || 'medium');
 
-  // 1. Fetch all users with an email preference and matching severity or set to 'all'
-  const recipients = await NotificationPreference.find({
+  return NotificationPreference.find({
     email: { $exists: true, $ne: null },
     $or: [
       { severity: 'all' },
@@ -33,6 +34,16 @@ export async function sendEmailAlert(alertData) {
       }
     ]
   });
+}
+
+export async function sendEmailAlert(alertData) {
+  if (NOTIFY_FINAL_ONLY && alertData.status && alertData.status !== 'final') {
+    console.log(`⏳ Email alert for ${alertData.txHash} deferred until final`);
+    return false;
+  }
+
+  // 1. Fetch all users subscribed to this severity
+  const recipients = await getEmailRecipients(alertData.severity);
 
   if (!recipients.length) {
     console.log('📭 No users subscribed for this severity level.');
@@ -62,6 +73,55 @@ export async function sendEmailAlert(alertData) {
   return true;
 }
 
+// Tell subscribers that an earlier alert was retracted (e.g. its block was reorged out)
+export async function sendEmailRetraction(alertData, reason) {
+  const recipients = await getEmailRecipients(alertData.severity);
+
+  if (!recipients.length) {
+    console.log('📭 No users subscribed for this severity level.');
+    return false;
+  }
+
+  for (const user of recipients) {
+    const userEmail = user.email;
+    if (!userEmail) continue;
+
+    const mailOptions = {
+      from: `"PYUSD Guardian" <${process.env.EMAIL_FROM}>`,
+      to: userEmail,
+      subject: `↩️ PYUSD Alert Retracted: ${alertData.rule}`,
+      html: generateRetractionHtml(alertData, reason)
+    };
+
+    try {
+      const info = await transporter.sendMail(mailOptions);
+      console.log(`📧 Retraction email sent to ${userEmail} (MessageID: ${info.messageId})`);
+    } catch (err) {
+      console.error(`❌ Failed to email ${userEmail}:`, err.message);
+    }
+  }
+
+  return true;
+}
+
+
+function generateRetractionHtml(alertData, reason) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>PYUSD Guardian Alert Retracted</title></head>
+<body style="font-family: 'Segoe UI', Arial, sans-serif; line-height: 1.6; color: #29231c; max-width: 800px; margin: 0 auto; padding: 20px;">
+  <h1 style="font-size: 22px; color: #0C2340;">PYUSD Guardian Alert Retracted</h1>
+  <p>The alert previously sent for this transaction no longer applies.</p>
+  <p><strong>Transaction:</strong><br>
+    <a href="https://etherscan.io/tx/${alertData.txHash}" style="color: #B8860B; word-break: break-all; font-family: monospace;">${alertData.txHash}</a>
+  </p>
+  <p><strong>Block:</strong> <span style="font-family: monospace;">${alertData.blockNumber || 'N/A'}</span></p>
+  <p><strong>Rule:</strong> ${alertData.rule}</p>
+  <p><strong>Reason:</strong> ${reason}</p>
+</body>
+</html>`;
+}
+
 
  function generateEmailHtml(alertData) {
   const colors = {
@@ -0,0 +1,18 @@
+// Application logger, kept apart from server.js so modules can be loaded without starting the server
+import { config } from 'dotenv';
+import winston from 'winston';
+
+// Load environment variables
+config();
+
+export const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'pyusd-monitor.log' })
+  ],
+});
@@ -0,0 +1,142 @@
+// Extracts Ethereum-format addresses from the OFAC SDN list (sdn.xml or sdn.csv)
+
+const ADDRESS_REGEX = /^0x[0-9a-fA-F]{40}$/;
+
+// e.g. 'Digital Currency Address - ETH', also USDT, USDC, ARB... (same address format on EVM chains)
+const DIGITAL_CURRENCY_ID = /^Digital Currency Address - (\S+)$/;
+
+// Remarks in sdn.csv list ids as 'Digital Currency Address - ETH 0x...;'
+const REMARK_ADDRESS_REGEX = /Digital Currency Address - (\S+) (0x[0-9a-fA-F]{40})\b/g;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(text) {
+  return text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => XML_ENTITIES[name])
+    .trim();
+}
+
+function xmlValues(xml, tag) {
+  const regex = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g');
+  return [...xml.matchAll(regex)].map(match => decodeXml(match[1]));
+}
+
+function xmlValue(xml, tag) {
+  return xmlValues(xml, tag)[0];
+}
+
+// Publish_Date is MM/DD/YYYY
+function parsePublishDate(value) {
+  const match = value?.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  return match ? new Date(Date.UTC(Number(match[3]), Number(match[1]) - 1, Number(match[2]))) : null;
+}
+
+function parseXml(xml) {
+  const publishDate = parsePublishDate(xmlValue(xml, 'Publish_Date'));
+  const entries = [];
+
+  for (const [sdnEntry] of xml.matchAll(/<sdnEntry>[\s\S]*?<\/sdnEntry>/g)) {
+    const ids = [...sdnEntry.matchAll(/<id>[\s\S]*?<\/id>/g)]
+      .map(([id]) => ({ type: xmlValue(id, 'idType'), number: xmlValue(id, 'idNumber') }))
+      .filter(id => DIGITAL_CURRENCY_ID.test(id.type || '') && ADDRESS_REGEX.test(id.number || ''));
+    if (ids.length === 0) continue;
+
+    const name = [xmlValue(sdnEntry, 'firstName'), xmlValue(sdnEntry, 'lastName')].filter(Boolean).join(' ');
+    const uid = sdnEntry.match(/^<sdnEntry>\s*<uid>(\d+)<\/uid>/)?.[1];
+    for (const id of ids) {
+      entries.push({
+        address: id.number.toLowerCase(),
+        currency: id.type.match(DIGITAL_CURRENCY_ID)[1],
+        name,
+        programs: xmlValues(sdnEntry, 'program'),
+        uid
+      });
+    }
+  }
+
+  return { format: 'xml', publishDate, entries };
+}
+
+// Minimal RFC 4180 parser: quoted fields may hold commas, doubled quotes and newlines
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// sdn.csv has no header: ent_num, SDN_Name, SDN_Type, Program, Title, Call_Sign,
+// Vess_type, Tonnage, GRT, Vess_flag, Vess_owner, Remarks ('-0-' means empty)
+function parseCsv(csv) {
+  const entries = [];
+
+  for (const row of parseCsvRows(csv)) {
+    const [uid, name, , program, , , , , , , , remarks] = row.map(value => value.trim());
+    if (!remarks) continue;
+
+    for (const [, currency, address] of remarks.matchAll(REMARK_ADDRESS_REGEX)) {
+      entries.push({
+        address: address.toLowerCase(),
+        currency,
+        name,
+        programs: program && program !== '-0-' ? program.split(/\]\s*\[|[[\]]/).map(p => p.trim()).filter(Boolean) : [],
+        uid
+      });
+    }
+  }
+
+  return { format: 'csv', publishDate: null, entries };
+}
+
+/**
+ * Parses an OFAC SDN export, detecting XML or CSV from the content
+ * @param {string} content - sdn.xml or sdn.csv file contents
+ * @returns {Object} - { format, publishDate, entries: [{ address, currency, name, programs, uid }] }
+ */
+export function parseOfacSdn(content) {
+  if (typeof content !== 'string' || content.trim() === '') {
+    throw new Error('Empty SDN file');
+  }
+
+  const text = content.replace(/^\uFEFF/, '');
+  if (text.trimStart().startsWith('<')) {
+    if (!text.includes('<sdnEntry>')) {
+      throw new Error('Unsupported XML: expected the SDN list (sdn.xml) format');
+    }
+    return parseXml(text);
+  }
+  return parseCsv(text);
+}
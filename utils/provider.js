@@ -1,8 +1,37 @@
-import { config } from 'dotenv';
-import { ethers } from 'ethers';
+import path from 'path';
+import { createProviderPool, createJsonRpcProvider } from './rpcPool.js';
+import { recordProvider, createReplayProvider } from './rpcRecorder.js';
+import {
+  RPC_URLS,
+  TRACE_RPC_URLS,
+  RPC_TIMEOUT_MS,
+  RPC_MAX_CONSECUTIVE_FAILURES,
+  RPC_COOLDOWN_MS,
+  RPC_MODE,
+  RPC_FIXTURE_FILE
+} from '../config/config.js';
 
-config();
+function poolOptions() {
+  const options = {
+    readUrls: RPC_URLS,
+    traceUrls: TRACE_RPC_URLS,
+    timeoutMs: RPC_TIMEOUT_MS,
+    maxConsecutiveFailures: RPC_MAX_CONSECUTIVE_FAILURES,
+    cooldownMs: RPC_COOLDOWN_MS
+  };
 
-const RPC_URL = process.env.RPC_URL;
+  if (RPC_MODE === 'record') {
+    options.createProvider = url => recordProvider(createJsonRpcProvider(url, RPC_TIMEOUT_MS), RPC_FIXTURE_FILE);
+  } else if (RPC_MODE === 'replay') {
+    // A single endpoint serving both roles from the fixture file
+    const replayProvider = createReplayProvider(RPC_FIXTURE_FILE);
+    options.readUrls = [`replay://${path.basename(RPC_FIXTURE_FILE)}`];
+    options.traceUrls = [];
+    options.createProvider = () => replayProvider;
+  }
 
-export const provider = new ethers.JsonRpcProvider(RPC_URL);
+  return options;
+}
+
+// Shared RPC pool used by the monitor, the trace analyzer and the API
+export const provider = createProviderPool(poolOptions());
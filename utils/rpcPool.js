@@ -0,0 +1,173 @@
+// Pool of JSON-RPC endpoints with health scoring and automatic failover
+import { ethers } from 'ethers';
+import { logger } from './logger.js';
+
+// Errors caused by the request itself; another endpoint would return the same thing
+const NON_RETRYABLE_CODES = new Set(['CALL_EXCEPTION', 'INVALID_ARGUMENT', 'NOT_IMPLEMENTED']);
+
+// Weight of the newest sample in the latency moving average
+const LATENCY_ALPHA = 0.2;
+
+function isTraceMethod(method) {
+  return method.startsWith('debug_') || method.startsWith('trace_');
+}
+
+// Never expose API keys embedded in endpoint paths or query strings
+function redactUrl(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return 'invalid-url';
+  }
+}
+
+/**
+ * Creates the JSON-RPC provider behind one endpoint
+ * @param {string} url
+ * @param {number} timeoutMs - Per-request timeout
+ */
+export function createJsonRpcProvider(url, timeoutMs) {
+  const request = new ethers.FetchRequest(url);
+  request.timeout = timeoutMs;
+  return new ethers.JsonRpcProvider(request, undefined, { staticNetwork: true });
+}
+
+function createEndpoint(url, roles, provider) {
+  return {
+    url,
+    label: redactUrl(url),
+    roles,
+    provider,
+    latencyMs: null,
+    successes: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    cooldownUntil: 0,
+    lastError: null
+  };
+}
+
+/**
+ * Lower is better: average latency, inflated by the recent error rate.
+ * Endpoints without samples yet score as fast so they get tried.
+ */
+function scoreEndpoint(endpoint) {
+  const total = endpoint.successes + endpoint.failures;
+  const errorRate = total > 0 ? endpoint.failures / total : 0;
+  return (endpoint.latencyMs ?? 0) * (1 + errorRate * 4) + endpoint.consecutiveFailures * 1000;
+}
+
+/**
+ * Creates a provider-like object backed by several endpoints. Plain reads go to
+ * endpoints with the 'read' role, debug_* and trace_* calls to the 'trace' role.
+ * @param {Object} options
+ * @param {string[]} options.readUrls - Endpoints for standard eth_* calls
+ * @param {string[]} options.traceUrls - Endpoints that serve debug_* and trace_* calls (defaults to readUrls)
+ * @param {number} options.timeoutMs - Per-request timeout
+ * @param {number} options.maxConsecutiveFailures - Failures before an endpoint is put in cooldown
+ * @param {number} options.cooldownMs - How long a failing endpoint is skipped
+ * @param {Function} [options.createProvider] - url -> JsonRpcProvider, e.g. to record or replay traffic
+ */
+export function createProviderPool({
+  readUrls,
+  traceUrls,
+  timeoutMs,
+  maxConsecutiveFailures,
+  cooldownMs,
+  createProvider = url => createJsonRpcProvider(url, timeoutMs)
+}) {
+  const byUrl = new Map();
+  const addEndpoint = (url, role) => {
+    if (!byUrl.has(url)) {
+      byUrl.set(url, createEndpoint(url, new Set(), createProvider(url)));
+    }
+    byUrl.get(url).roles.add(role);
+  };
+
+  readUrls.forEach(url => addEndpoint(url, 'read'));
+  (traceUrls.length > 0 ? traceUrls : readUrls).forEach(url => addEndpoint(url, 'trace'));
+
+  const endpoints = [...byUrl.values()];
+
+  // Healthy endpoints first, ordered by score; cooling-down endpoints only as a last resort
+  function candidatesFor(role) {
+    const now = Date.now();
+    const withRole = endpoints.filter(e => e.roles.has(role));
+    const healthy = withRole.filter(e => e.cooldownUntil <= now);
+    const cooling = withRole.filter(e => e.cooldownUntil > now);
+    const byScore = (a, b) => scoreEndpoint(a) - scoreEndpoint(b);
+    return [...healthy.sort(byScore), ...cooling.sort((a, b) => a.cooldownUntil - b.cooldownUntil)];
+  }
+
+  function recordSuccess(endpoint, elapsed) {
+    endpoint.successes++;
+    endpoint.consecutiveFailures = 0;
+    endpoint.cooldownUntil = 0;
+    endpoint.latencyMs = endpoint.latencyMs === null
+      ? elapsed
+      : endpoint.latencyMs * (1 - LATENCY_ALPHA) + elapsed * LATENCY_ALPHA;
+  }
+
+  function recordFailure(endpoint, error) {
+    endpoint.failures++;
+    endpoint.consecutiveFailures++;
+    endpoint.lastError = { message: error.message, at: new Date().toISOString() };
+
+    if (endpoint.consecutiveFailures >= maxConsecutiveFailures) {
+      endpoint.cooldownUntil = Date.now() + cooldownMs;
+      logger.warn('RPC endpoint placed in cooldown', {
+        endpoint: endpoint.label,
+        consecutiveFailures: endpoint.consecutiveFailures,
+        cooldownMs
+      });
+    }
+  }
+
+  async function call(role, fn) {
+    const candidates = candidatesFor(role);
+    if (candidates.length === 0) {
+      throw new Error(`No RPC endpoints configured for role '${role}'`);
+    }
+
+    let lastError;
+    for (const endpoint of candidates) {
+      const startedAt = Date.now();
+      try {
+        const result = await fn(endpoint.provider);
+        recordSuccess(endpoint, Date.now() - startedAt);
+        return result;
+      } catch (error) {
+        if (NON_RETRYABLE_CODES.has(error.code)) {
+          throw error;
+        }
+        lastError = error;
+        recordFailure(endpoint, error);
+        logger.warn('RPC call failed, trying next endpoint', { endpoint: endpoint.label, role, error: error.message });
+      }
+    }
+
+    throw lastError;
+  }
+
+  return {
+    endpoints,
+    getBlockNumber: () => call('read', p => p.getBlockNumber()),
+    getBlock: (...args) => call('read', p => p.getBlock(...args)),
+    getTransaction: (...args) => call('read', p => p.getTransaction(...args)),
+    getTransactionReceipt: (...args) => call('read', p => p.getTransactionReceipt(...args)),
+    getLogs: (...args) => call('read', p => p.getLogs(...args)),
+    getNetwork: () => call('read', p => p.getNetwork()),
+    send: (method, params) => call(isTraceMethod(method) ? 'trace' : 'read', p => p.send(method, params)),
+    getHealth: () => endpoints.map(endpoint => ({
+      endpoint: endpoint.label,
+      roles: [...endpoint.roles],
+      score: Math.round(scoreEndpoint(endpoint)),
+      latencyMs: endpoint.latencyMs === null ? null : Math.round(endpoint.latencyMs),
+      successes: endpoint.successes,
+      failures: endpoint.failures,
+      consecutiveFailures: endpoint.consecutiveFailures,
+      coolingDown: endpoint.cooldownUntil > Date.now(),
+      lastError: endpoint.lastError
+    }))
+  };
+}
@@ -0,0 +1,101 @@
+// Record-and-replay of raw JSON-RPC traffic for offline, reproducible runs
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+
+function requestKey(method, params) {
+  return `${method}:${JSON.stringify(params ?? [])}`;
+}
+
+/**
+ * Makes a JsonRpcProvider append every request/response pair it exchanges with
+ * the node to a JSONL fixture file. Requests that fail at the transport level
+ * (timeouts, connection errors) are not recorded.
+ * @param {ethers.JsonRpcProvider} provider
+ * @param {string} fixtureFile
+ * @returns {ethers.JsonRpcProvider} - The same provider
+ */
+export function recordProvider(provider, fixtureFile) {
+  fs.mkdirSync(path.dirname(fixtureFile), { recursive: true });
+  const send = provider._send.bind(provider);
+
+  provider._send = async (payload) => {
+    const responses = await send(payload);
+    const payloads = Array.isArray(payload) ? payload : [payload];
+
+    // Lines are appended synchronously so concurrent batches keep their order
+    for (const request of payloads) {
+      const response = responses.find(r => r.id === request.id);
+      if (!response) continue;
+
+      const entry = { method: request.method, params: request.params };
+      if ('error' in response) {
+        entry.error = response.error;
+      } else {
+        entry.result = response.result;
+      }
+      fs.appendFileSync(fixtureFile, JSON.stringify(entry) + '\n');
+    }
+
+    return responses;
+  };
+
+  return provider;
+}
+
+/**
+ * Serves recorded responses instead of talking to a node. Identical requests
+ * are answered in recorded order, the last response repeating once exhausted
+ * (so eth_blockNumber settles on the last recorded head). Unrecorded requests
+ * get a JSON-RPC error.
+ */
+class ReplayProvider extends ethers.JsonRpcProvider {
+  #responses;
+
+  constructor(responses) {
+    super('http://replay.invalid', undefined, { staticNetwork: true });
+    this.#responses = responses;
+  }
+
+  #replay(request) {
+    const queue = this.#responses.get(requestKey(request.method, request.params));
+    if (!queue) {
+      return {
+        id: request.id,
+        jsonrpc: '2.0',
+        error: { code: -32000, message: `No recorded response for ${request.method}` }
+      };
+    }
+
+    const entry = queue.length > 1 ? queue.shift() : queue[0];
+    return 'error' in entry
+      ? { id: request.id, jsonrpc: '2.0', error: entry.error }
+      : { id: request.id, jsonrpc: '2.0', result: entry.result };
+  }
+
+  async _send(payload) {
+    const payloads = Array.isArray(payload) ? payload : [payload];
+    return payloads.map(request => this.#replay(request));
+  }
+}
+
+/**
+ * Loads a fixture file written by recordProvider
+ * @param {string} fixtureFile
+ * @returns {ethers.JsonRpcProvider}
+ */
+export function createReplayProvider(fixtureFile) {
+  const responses = new Map();
+  const lines = fs.readFileSync(fixtureFile, 'utf8').split('\n').filter(Boolean);
+
+  for (const line of lines) {
+    const entry = JSON.parse(line);
+    const key = requestKey(entry.method, entry.params);
+    if (!responses.has(key)) {
+      responses.set(key, []);
+    }
+    responses.get(key).push(entry);
+  }
+
+  return new ReplayProvider(responses);
+}
@@ -1,20 +1,18 @@
 // Utility functions
 import { ethers } from 'ethers';
-import { RPC_URL, MAX_RETRIES, RETRY_DELAY_MS } from '../config/config.js';
-import { logger } from './server.js';
+import { MAX_RETRIES, RETRY_DELAY_MS, PYUSD_ADDRESS } from '../config/config.js';
+import { provider } from './provider.js';
+import { logger } from './logger.js';
 
-// Initialize provider with fallback and timeout
+// Return the shared RPC pool; there is nothing to monitor without at least one endpoint
 export function initializeProvider() {
-  try {
-    return new ethers.JsonRpcProvider(RPC_URL, undefined, {
-      polling: true,
-      pollingInterval: 4000,
-      timeout: 30000,
-    });
-  } catch (error) {
-    logger.error('Failed to initialize provider', { error: error.message });
+  if (provider.endpoints.length === 0) {
+    logger.error('Failed to initialize provider: set RPC_URLS or RPC_URL');
     process.exit(1);
   }
+
+  logger.info('RPC pool initialized', { endpoints: provider.getHealth().map(e => ({ endpoint: e.endpoint, roles: e.roles })) });
+  return provider;
 }
 
 // Helper function with retry logic
@@ -37,6 +35,12 @@ export function notifyClients(io, alert) {
   logger.info('Sent alert to connected clients', { txHash: alert.txHash });
 }
 
+// Tell WebSocket clients that a previously sent alert no longer holds
+export function notifyRetraction(io, alert, reason) {
+  io.emit('alert-retracted', { ...alert, retractionReason: reason });
+  logger.info('Sent alert retraction to connected clients', { txHash: alert.txHash, reason });
+}
+
 
 
 
@@ -176,6 +180,62 @@ export async function getBlockTransactions(provider, blockNumber) {
   }
 }
 
+// ERC-20 event topics emitted by the PYUSD contract
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const APPROVAL_TOPIC = ethers.id('Approval(address,address,uint256)');
+
+// Get the transactions that emitted PYUSD Transfer/Approval logs over a block range,
+// grouped by block number along with the logs each transaction emitted
+export async function getPyusdLogTransactions(provider, fromBlock, toBlock) {
+  const logs = await provider.getLogs({
+    address: PYUSD_ADDRESS,
+    topics: [[TRANSFER_TOPIC, APPROVAL_TOPIC]],
+    fromBlock,
+    toBlock
+  });
+
+  const logsByTx = new Map();
+  const blockOfTx = new Map();
+  for (const log of logs) {
+    if (!logsByTx.has(log.transactionHash)) {
+      logsByTx.set(log.transactionHash, []);
+      blockOfTx.set(log.transactionHash, log.blockNumber);
+    }
+    logsByTx.get(log.transactionHash).push(log);
+  }
+
+  const txHashes = [...logsByTx.keys()];
+  const batchSize = 50;
+  const blocks = new Map();
+
+  for (let i = 0; i < txHashes.length; i += batchSize) {
+    const batch = txHashes.slice(i, i + batchSize);
+
+    const results = await Promise.allSettled(
+      batch.map(txHash => withRetry(() => provider.getTransaction(txHash)))
+    );
+
+    results.forEach((result, idx) => {
+      const txHash = batch[idx];
+      if (result.status === 'fulfilled' && result.value) {
+        const blockNumber = blockOfTx.get(txHash);
+        if (!blocks.has(blockNumber)) {
+          blocks.set(blockNumber, { transactions: [], logsByTx: new Map() });
+        }
+        const entry = blocks.get(blockNumber);
+        entry.transactions.push(result.value);
+        entry.logsByTx.set(txHash, logsByTx.get(txHash));
+      } else {
+        // A missing tx would be a silent coverage gap, so fail the whole range
+        throw new Error(`Failed to fetch transaction ${txHash}: ${result.reason?.message || result.reason}`);
+      }
+    });
+  }
+
+  logger.info(`Fetched PYUSD log transactions`, { fromBlock, toBlock, logs: logs.length, txCount: txHashes.length });
+  return blocks;
+}
+
 // Utility to convert number to hex
 function toHex(num) {
   return '0x' + Number(num).toString(16);
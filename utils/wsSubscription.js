@@ -0,0 +1,74 @@
+// WebSocket subscriptions to the Ethereum node
+import { ethers } from 'ethers';
+import { logger } from './logger.js';
+
+/**
+ * Subscribes to an ethers provider event ('block' -> newHeads, 'pending' ->
+ * newPendingTransactions) over a dedicated WebSocket provider.
+ * onDrop is called once when the socket closes, errors, or stays silent for
+ * staleTimeoutMs; the subscription is torn down at that point.
+ */
+function subscribe(url, eventName, { onEvent, onDrop }, staleTimeoutMs) {
+  const wsProvider = new ethers.WebSocketProvider(url);
+  let closed = false;
+  let staleTimer = null;
+
+  const teardown = () => {
+    closed = true;
+    clearTimeout(staleTimer);
+    try {
+      wsProvider.destroy().catch(() => {});
+    } catch {
+      // Socket already gone
+    }
+  };
+
+  const drop = (reason) => {
+    if (closed) return;
+    teardown();
+    logger.warn(`${eventName} subscription dropped`, { reason });
+    onDrop(reason);
+  };
+
+  const armStaleTimer = () => {
+    clearTimeout(staleTimer);
+    staleTimer = setTimeout(() => drop(`no ${eventName} events for ${staleTimeoutMs}ms`), staleTimeoutMs);
+  };
+
+  // ethers leaves these handlers unset; without them a socket error would be thrown
+  wsProvider.websocket.onerror = (event) => drop(`socket error: ${event?.message || 'unknown'}`);
+  wsProvider.websocket.onclose = (event) => drop(`socket closed (code ${event?.code})`);
+
+  wsProvider.on(eventName, (payload) => {
+    if (closed) return;
+    armStaleTimer();
+    onEvent(payload);
+  }).catch(err => drop(`subscribe failed: ${err.message}`));
+
+  armStaleTimer();
+  logger.info(`Subscribed to ${eventName} events`, { url: new URL(url).host });
+
+  return { close: teardown };
+}
+
+/**
+ * Subscribes to newHeads over a WebSocket provider.
+ * @param {string} url - WebSocket RPC endpoint
+ * @param {Object} handlers - { onBlock(blockNumber), onDrop(reason) }
+ * @param {number} staleTimeoutMs - Max silence before the subscription is treated as dead
+ * @returns {{ close: Function }}
+ */
+export function subscribeNewHeads(url, { onBlock, onDrop }, staleTimeoutMs) {
+  return subscribe(url, 'block', { onEvent: onBlock, onDrop }, staleTimeoutMs);
+}
+
+/**
+ * Subscribes to newPendingTransactions over a WebSocket provider.
+ * @param {string} url - WebSocket RPC endpoint
+ * @param {Object} handlers - { onTransaction(txHash), onDrop(reason) }
+ * @param {number} staleTimeoutMs - Max silence before the subscription is treated as dead
+ * @returns {{ close: Function }}
+ */
+export function subscribePendingTransactions(url, { onTransaction, onDrop }, staleTimeoutMs) {
+  return subscribe(url, 'pending', { onEvent: onTransaction, onDrop }, staleTimeoutMs);
+}
@@ -0,0 +1,97 @@
+// Managed address watchlists and the OFAC SDN importer
+import fetch from 'node-fetch';
+import { seedWatchlists, getWatchlist, addWatchlistEntries, removeStaleWatchlistEntries } from './database/database.js';
+import { parseOfacSdn } from './utils/ofacParser.js';
+import { logger } from './utils/logger.js';
+import { OFAC_SDN_URL } from './config/config.js';
+
+export const OFAC_SOURCE = 'OFAC SDN';
+
+// Lists created on startup; entries are added through the API
+export const DEFAULT_WATCHLISTS = [
+  {
+    listId: 'ofac-sdn',
+    name: 'OFAC SDN',
+    category: 'sanctions',
+    description: 'Addresses on the OFAC Specially Designated Nationals list'
+  },
+  {
+    listId: 'internal-blocklist',
+    name: 'Internal blocklist',
+    category: 'internal',
+    description: 'Addresses blocked by the compliance team'
+  },
+  {
+    listId: 'law-enforcement',
+    name: 'Law-enforcement requests',
+    category: 'law_enforcement',
+    description: 'Addresses named in law-enforcement requests'
+  }
+];
+
+export async function seedDefaultWatchlists() {
+  try {
+    const created = await seedWatchlists(DEFAULT_WATCHLISTS);
+    if (created > 0) {
+      logger.info('Default watchlists created', { count: created });
+    }
+  } catch (error) {
+    logger.error('Failed to create default watchlists', { error: error.message });
+  }
+}
+
+// Only the configured OFAC_SDN_URL is downloaded; callers cannot point the server at other hosts
+async function downloadSdnList() {
+  const response = await fetch(OFAC_SDN_URL);
+  if (!response.ok) {
+    throw new Error(`Failed to download SDN list: HTTP ${response.status}`);
+  }
+  return response.text();
+}
+
+/**
+ * Imports the Ethereum-format addresses of an OFAC SDN export into a watchlist
+ * @param {string} listId
+ * @param {Object} options - { content } file contents, downloaded from OFAC_SDN_URL when omitted;
+ *   replace removes OFAC entries of the list that are no longer in the export
+ * @returns {Promise<Object>} - { format, publishDate, addresses, added, updated, removed }
+ */
+export async function importOfacSdn(listId, { content, replace = false } = {}) {
+  const list = await getWatchlist(listId);
+  if (!list) {
+    throw new Error(`Watchlist ${listId} not found`);
+  }
+
+  const source = content ?? await downloadSdnList();
+  const { format, publishDate, entries } = parseOfacSdn(source);
+  if (entries.length === 0) {
+    throw new Error('No Ethereum addresses found in the SDN file');
+  }
+
+  // An address can be listed under several SDN entries or currencies
+  const byAddress = new Map();
+  for (const entry of entries) {
+    const existing = byAddress.get(entry.address);
+    const reason = `${entry.name}${entry.programs.length ? ` (${entry.programs.join(', ')})` : ''}`;
+    if (existing) {
+      if (!existing.reason.includes(reason)) existing.reason += `; ${reason}`;
+      if (entry.uid && !existing.reference?.includes(`SDN ${entry.uid}`)) {
+        existing.reference = [existing.reference, `SDN ${entry.uid}`].filter(Boolean).join(', ');
+      }
+      continue;
+    }
+    byAddress.set(entry.address, {
+      address: entry.address,
+      source: OFAC_SOURCE,
+      reason,
+      reference: entry.uid ? `SDN ${entry.uid}` : undefined,
+      ...(publishDate ? { listedAt: publishDate } : {})
+    });
+  }
+
+  const { added, updated } = await addWatchlistEntries(listId, [...byAddress.values()]);
+  const removed = replace ? await removeStaleWatchlistEntries(listId, OFAC_SOURCE, [...byAddress.keys()]) : 0;
+
+  logger.info('OFAC SDN list imported', { listId, format, addresses: byAddress.size, added, updated, removed });
+  return { format, publishDate, addresses: byAddress.size, added, updated, removed };
+}